@@ -0,0 +1,205 @@
+// assets/admin-session.js
+// 管理員登入狀態（index.html、gallery.html 共用，掛在 window.AdminSession）
+// - access token 存在 localStorage（adminToken），效期短
+// - refresh token 是 HttpOnly cookie，瀏覽器自己帶；access token 快過期前自動換新
+// - authFetch 遇到 401 會先換新一次再重送，長時間上傳後 token 過期也不會失敗
+// - 換新失敗（登出、被鎖、cookie 過期）就清掉 token，發 'adminsession' 事件讓頁面更新畫面
+// - 多個分頁共用同一個 refresh cookie，換新一次就換掉舊的：用 Web Locks 排隊，輪到的時候別的分頁已經換好就直接用；
+//   其他分頁登入、登出、換新（storage 事件）也會跟著更新
+// - getUser / hasRole / canEditPost 只是用來決定畫面上顯示哪些按鈕，真正的權限檢查在 server
+
+const TOKEN_KEY = 'adminToken';
+const FN = '/.netlify/functions/';
+// 到期前多久換新
+const REFRESH_EARLY_MS = 60 * 1000;
+// 跨分頁換新用的 Web Lock 名稱
+const REFRESH_LOCK = 'admin-session-refresh';
+// 跟 netlify/lib/auth.js 的 ROLES 一樣，由低到高
+const ROLES = ['viewer', 'editor', 'owner'];
+
+let refreshTimer = null;
+let refreshing = null;
+
+export function getToken() {
+  try { return localStorage.getItem(TOKEN_KEY) || ''; } catch { return ''; }
+}
+
+export function setToken(t) {
+  try { if (t) localStorage.setItem(TOKEN_KEY, t); } catch {}
+  scheduleRefresh();
+}
+
+export function clearToken() {
+  try { localStorage.removeItem(TOKEN_KEY); } catch {}
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+}
+
+export function isLoggedIn() {
+  return !!getToken();
+}
+
+// 只讀 payload，不驗證簽章；驗證交給 server
+function tokenPayload(token) {
+  try {
+    const p = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(
+      Array.from(atob(p), c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join('')
+    );
+    return JSON.parse(json) || null;
+  } catch {
+    return null;
+  }
+}
+
+function tokenExp(token) {
+  const exp = tokenPayload(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : 0;
+}
+
+// 目前登入的帳號：{ username, name, role }，沒登入回 null
+export function getUser() {
+  const p = tokenPayload(getToken());
+  if (!p) return null;
+  const role = p.role === 'admin' ? 'owner' : p.role;
+  return { username: p.sub, name: p.name || p.sub, role };
+}
+
+export function hasRole(role) {
+  const user = getUser();
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// 跟 server 的 canEditPost 一樣：owner 全部，editor 只能改自己建立的
+export function canEditPost(post) {
+  if (hasRole('owner')) return true;
+  return hasRole('editor') && !!post && !!post.author && post.author === getUser().username;
+}
+
+function notify() {
+  window.dispatchEvent(new CustomEvent('adminsession', { detail: { loggedIn: isLoggedIn() } }));
+}
+
+// 登入：成功回傳 { token, expires_at, user }，失敗丟出帶 server 訊息的 Error（429 會附上 retryAfter 秒數）
+// 還沒建立任何帳號時 username 留空，用 ADMIN_PASSWORD 登入
+export async function login(username, password) {
+  const r = await fetch(FN + 'admin-login', {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok || !data.token) {
+    const err = new Error(data.error || '登入失敗');
+    err.status = r.status;
+    if (r.status === 429) err.retryAfter = Number(r.headers.get('retry-after')) || data.retry_after || 0;
+    throw err;
+  }
+  setToken(data.token);
+  notify();
+  return data;
+}
+
+// 同一個瀏覽器的分頁輪流執行；不支援 Web Locks 的瀏覽器直接執行
+function withRefreshLock(fn) {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(REFRESH_LOCK, fn);
+  }
+  return fn();
+}
+
+// 別的分頁在 before 之後換好的 token（還沒快過期）
+function rotatedSince(before) {
+  const current = getToken();
+  return !!current && current !== before && tokenExp(current) - Date.now() > REFRESH_EARLY_MS;
+}
+
+// 用 refresh cookie 換新 access token；同時間只會送一個請求（跨分頁也是），回傳成功與否
+export function refresh() {
+  if (!refreshing) {
+    const before = getToken();
+    refreshing = withRefreshLock(async () => {
+      // 排隊的時候別的分頁已經換好了：直接用，不要拿已經換掉的 cookie 再換一次
+      if (rotatedSince(before)) {
+        scheduleRefresh();
+        return true;
+      }
+      try {
+        const r = await fetch(FN + 'admin-refresh', { method: 'POST', credentials: 'same-origin' });
+        const data = await r.json().catch(() => ({}));
+        if (r.ok && data.token) {
+          setToken(data.token);
+          return true;
+        }
+        // 只有 401 才算登出；網路錯誤、500 先保留 token，下次再試
+        // 沒有 Web Locks 時，401 可能是別的分頁剛好先換掉了 cookie：那邊換好的 token 照用
+        if (r.status === 401) {
+          if (rotatedSince(before)) {
+            scheduleRefresh();
+            return true;
+          }
+          clearToken();
+          notify();
+        }
+        return false;
+      } catch {
+        return false;
+      }
+    }).finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+export function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  const exp = tokenExp(getToken());
+  if (!exp) return;
+  const wait = Math.max(0, exp - Date.now() - REFRESH_EARLY_MS);
+  refreshTimer = setTimeout(() => { refresh(); }, wait);
+}
+
+function withAuth(opts) {
+  const headers = new Headers(opts.headers || {});
+  const t = getToken();
+  if (t) headers.set('Authorization', 'Bearer ' + t);
+  else headers.delete('Authorization');
+  return { ...opts, headers };
+}
+
+// 帶上目前的 access token 呼叫 function；401 時換新一次再重送
+// body 要能重送（字串、FormData），不要傳 stream
+export async function authFetch(url, opts = {}) {
+  const hadToken = isLoggedIn();
+  const res = await fetch(url, withAuth(opts));
+  if (res.status !== 401 || !hadToken) return res;
+  if (!(await refresh())) return res;
+  return fetch(url, withAuth(opts));
+}
+
+// 登出：請 server 把 token 作廢（失敗也照樣在本機登出）
+export async function logout() {
+  try {
+    await fetch(FN + 'admin-logout', withAuth({ method: 'POST', credentials: 'same-origin' }));
+  } catch {}
+  clearToken();
+  notify();
+}
+
+// 頁面載入時：已經有 token 就排好換新；已經過期的話馬上換
+if (typeof window !== 'undefined' && isLoggedIn()) {
+  const exp = tokenExp(getToken());
+  if (exp && exp - Date.now() < REFRESH_EARLY_MS) refresh();
+  else scheduleRefresh();
+}
+
+// 其他分頁改了 token（登入、換新、登出）：照新的 token 重排換新時間，讓頁面更新畫面
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key !== TOKEN_KEY && e.key !== null) return;
+    if (isLoggedIn()) scheduleRefresh();
+    else clearToken();
+    notify();
+  });
+}
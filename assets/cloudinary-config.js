@@ -0,0 +1,8 @@
+// assets/cloudinary-config.js
+// 前端用的 Cloudinary 設定：雲端名稱、未簽名上傳的 preset、浮水印 logo
+// 前端（index.html 上傳、gallery.html 還原備份）跟 function（透過 watermark.js）都讀這一份；
+// function 的帳號金鑰在環境變數（CLD_CLOUD_NAME / CLD_API_KEY / CLD_API_SECRET），雲端名稱要跟這裡一樣
+export const CLOUD_NAME = 'dvz4druzc';
+export const UPLOAD_PRESET = 'uncle-collage';
+// 浮水印 logo 在 Cloudinary 上的 public_id（資料夾用 / 分隔）
+export const WATERMARK_LOGO = 'logo-3_hddq08';
@@ -0,0 +1,128 @@
+// assets/collage-layout.js
+// 拼貼圖的版面計算：只算座標跟文字，不碰 DOM / canvas / Cloudinary
+// 瀏覽器（assets/collage.js 畫在 canvas 上）跟 netlify/functions/collage.js（組 Cloudinary 疊圖網址）共用這一份，
+// 兩邊產生的圖才會長得一樣
+export const LAYOUTS = {
+  '2x2': { label: '2×2 四宮格', cols: 2, rows: 2 },
+  '3x3': { label: '3×3 九宮格', cols: 3, rows: 3 },
+  'ba': { label: '清洗前後對比', cols: 2, rows: 3, pairs: true },
+};
+export const DEFAULT_LAYOUT = '2x2';
+export const DEFAULT_WIDTH = 1080;
+export const MIN_WIDTH = 480;
+export const MAX_WIDTH = 2048;
+
+export const COLORS = {
+  background: '#f8fafc',
+  title: '#111827',
+  muted: '#64748b',
+  cell: '#e2e8f0',
+  labelBg: '#111827',
+  labelFg: '#ffffff',
+};
+export const BRAND_TEXT = '自然大叔 Natural Uncle 專業清淨職人';
+
+export function isLayout(name) {
+  return Object.hasOwn(LAYOUTS, name);
+}
+
+export function clampWidth(w) {
+  const n = Math.round(Number(w));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_WIDTH;
+  return Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, n));
+}
+
+// 從案件 items 挑出要放進拼貼的照片
+// - 宮格：每個 item 一張（前後對比的用清洗後）
+// - 前後對比：只拿有 before / after 的 item，每列一組
+export function collagePhotos(items, layout = DEFAULT_LAYOUT) {
+  const spec = LAYOUTS[layout] || LAYOUTS[DEFAULT_LAYOUT];
+  const list = Array.isArray(items) ? items.filter(Boolean) : [];
+  if (spec.pairs) {
+    return list
+      .filter(it => it.before && it.after)
+      .slice(0, spec.rows)
+      .flatMap(it => [
+        { url: it.before, label: '清洗前' },
+        { url: it.after, label: '清洗後' },
+      ]);
+  }
+  return list
+    .map(it => ({ url: it.url || it.after || it.before || '' }))
+    .filter(p => p.url)
+    .slice(0, spec.cols * spec.rows);
+}
+
+// 中文字寬大約等於字級，英數字算半個；超過就截斷加「…」
+// canvas 跟 Cloudinary 量字的方式不同，統一在這裡用估的，兩邊才會截在同一個地方
+function fitText(text, size, maxWidth) {
+  const s = String(text || '').trim();
+  let used = 0;
+  for (let i = 0; i < s.length; i++) {
+    used += /[\x20-\x7e]/.test(s[i]) ? size * 0.55 : size;
+    if (used > maxWidth) return s.slice(0, Math.max(0, i - 1)) + '…';
+  }
+  return s;
+}
+
+// 算出整張圖的版面：
+// { layout, width, height, background, cells: [{ x, y, w, h, url, label? }], texts: [{ text, x, y, size, weight, color }], logo: { x, y, w, h } }
+// 文字的 x / y 是左上角（canvas 用 textBaseline = 'top'，Cloudinary 用 north_west）
+// 沒有可用的照片時 cells 會是空陣列，由呼叫端決定怎麼回報
+export function computeLayout(items, { layout = DEFAULT_LAYOUT, width, title = '', date = '' } = {}) {
+  const name = isLayout(layout) ? layout : DEFAULT_LAYOUT;
+  const spec = LAYOUTS[name];
+  const W = clampWidth(width);
+  const pad = Math.round(W * 0.04);
+  const gap = Math.round(W * 0.015);
+  const inner = W - pad * 2;
+
+  // 標題列：左邊標題＋日期，右邊 logo
+  const titleSize = Math.round(W * 0.045);
+  const dateSize = Math.round(W * 0.026);
+  const headerH = Math.round(titleSize * 1.3 + dateSize * 1.5);
+  const logoH = headerH;
+  const logoW = Math.round(logoH * 2);
+  const textMax = inner - logoW - gap;
+
+  const photos = collagePhotos(items, name);
+  const cols = spec.cols;
+  const rows = Math.max(1, Math.min(spec.rows, Math.ceil(photos.length / cols)));
+  const cellW = Math.floor((inner - gap * (cols - 1)) / cols);
+  // 宮格用正方形，前後對比用 4:3
+  const cellH = spec.pairs ? Math.round(cellW * 0.75) : cellW;
+
+  const gridTop = pad + headerH + gap * 2;
+  const cells = photos.map((p, i) => ({
+    x: pad + (i % cols) * (cellW + gap),
+    y: gridTop + Math.floor(i / cols) * (cellH + gap),
+    w: cellW,
+    h: cellH,
+    url: p.url,
+    ...(p.label ? { label: p.label } : {}),
+  }));
+
+  const gridH = rows * cellH + (rows - 1) * gap;
+  const footerSize = Math.round(W * 0.022);
+  const footerY = gridTop + gridH + gap * 2;
+  const height = footerY + Math.round(footerSize * 1.4) + pad;
+
+  const texts = [
+    { text: fitText(title, titleSize, textMax), x: pad, y: pad, size: titleSize, weight: 'bold', color: COLORS.title },
+  ];
+  if (date) {
+    texts.push({ text: String(date), x: pad, y: pad + Math.round(titleSize * 1.3), size: dateSize, weight: 'normal', color: COLORS.muted });
+  }
+  texts.push({ text: BRAND_TEXT, x: pad, y: footerY, size: footerSize, weight: 'normal', color: COLORS.muted });
+
+  return {
+    layout: name,
+    width: W,
+    height,
+    background: COLORS.background,
+    cells,
+    texts,
+    labelSize: Math.round(W * 0.024),
+    logo: { x: W - pad - logoW, y: pad, w: logoW, h: logoH },
+  };
+}
@@ -0,0 +1,126 @@
+// assets/collage.js
+// 在瀏覽器把案件照片畫成一張拼貼圖（版面由 collage-layout.js 計算）
+// post.html 跟 index.html 的檢視頁用 import('./assets/collage.js') 載入
+import { LAYOUTS, DEFAULT_LAYOUT, COLORS, computeLayout } from './collage-layout.js';
+
+export { LAYOUTS, DEFAULT_LAYOUT };
+
+const FONT_STACK = '"Noto Sans TC", "PingFang TC", "Microsoft JhengHei", sans-serif';
+export const FORMATS = {
+  jpeg: { type: 'image/jpeg', ext: 'jpg', quality: 0.9 },
+  png: { type: 'image/png', ext: 'png' },
+};
+
+// Cloudinary 的圖直接請它裁好需要的大小（g_auto 自動找重點），其他網址原樣
+function sizedUrl(url, w, h) {
+  const i = url.indexOf('/upload/');
+  if (i < 0) return url;
+  return url.slice(0, i + 8) + `f_jpg,q_auto,c_fill,g_auto,w_${w},h_${h}/` + url.slice(i + 8);
+}
+
+// 要能 toBlob，跨網域的圖一定要用 anonymous 載入（Cloudinary 有開 CORS）
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.decoding = 'async';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('圖片載入失敗：' + src));
+    img.src = src;
+  });
+}
+
+// 等比例放大塞滿格子，多的裁掉（object-fit: cover）
+function drawCover(ctx, img, x, y, w, h) {
+  const scale = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+  const sw = w / scale;
+  const sh = h / scale;
+  ctx.drawImage(img, (img.naturalWidth - sw) / 2, (img.naturalHeight - sh) / 2, sw, sh, x, y, w, h);
+}
+
+// 等比例縮進框裡、靠右對齊（logo 用）
+function drawContainRight(ctx, img, { x, y, w, h }) {
+  const scale = Math.min(w / img.naturalWidth, h / img.naturalHeight);
+  const dw = img.naturalWidth * scale;
+  const dh = img.naturalHeight * scale;
+  ctx.drawImage(img, x + w - dw, y + (h - dh) / 2, dw, dh);
+}
+
+function drawLabel(ctx, text, x, y, size) {
+  ctx.font = `bold ${size}px ${FONT_STACK}`;
+  const padX = Math.round(size * 0.6);
+  const padY = Math.round(size * 0.3);
+  const w = ctx.measureText(text).width + padX * 2;
+  const h = size + padY * 2;
+  ctx.fillStyle = COLORS.labelBg;
+  ctx.globalAlpha = 0.75;
+  ctx.fillRect(x, y, w, h);
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = COLORS.labelFg;
+  ctx.fillText(text, x + padX, y + padY);
+}
+
+// 畫出拼貼圖，回傳 canvas
+// items：案件的 items；opts：{ layout, width, title, date, logoUrl }
+// 有照片載不到就整個失敗，不要產生缺格子的圖
+export async function renderCollage(items, { logoUrl = 'logo.png', ...opts } = {}) {
+  const layout = computeLayout(items, opts);
+  if (!layout.cells.length) {
+    throw new Error(LAYOUTS[layout.layout].pairs ? '這個案件沒有清洗前後對比的照片' : '這個案件沒有照片');
+  }
+
+  const [photos, logo] = await Promise.all([
+    Promise.all(layout.cells.map(c => loadImage(sizedUrl(c.url, c.w, c.h)))),
+    logoUrl ? loadImage(logoUrl).catch(() => null) : null,
+    document.fonts ? document.fonts.ready : null,
+  ]);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = layout.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+
+  layout.cells.forEach((c, i) => {
+    ctx.fillStyle = COLORS.cell;
+    ctx.fillRect(c.x, c.y, c.w, c.h);
+    drawCover(ctx, photos[i], c.x, c.y, c.w, c.h);
+  });
+
+  ctx.textBaseline = 'top';
+  const labelOffset = Math.round(layout.labelSize * 0.6);
+  layout.cells.forEach(c => {
+    if (c.label) drawLabel(ctx, c.label, c.x + labelOffset, c.y + labelOffset, layout.labelSize);
+  });
+  for (const t of layout.texts) {
+    ctx.font = `${t.weight} ${t.size}px ${FONT_STACK}`;
+    ctx.fillStyle = t.color;
+    ctx.fillText(t.text, t.x, t.y);
+  }
+  if (logo) drawContainRight(ctx, logo, layout.logo);
+
+  return canvas;
+}
+
+export function canvasToBlob(canvas, format = 'jpeg') {
+  const f = FORMATS[format] || FORMATS.jpeg;
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error('無法輸出圖片'))), f.type, f.quality);
+  });
+}
+
+// 觸發下載；檔名不含副檔名，依格式補上
+export async function downloadCanvas(canvas, basename, format = 'jpeg') {
+  const f = FORMATS[format] || FORMATS.jpeg;
+  const blob = await canvasToBlob(canvas, format);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${basename || 'collage'}.${f.ext}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
@@ -0,0 +1,4 @@
+// assets/site-config.js
+// 公司名稱、聯絡電話：前端頁尾（index.html）跟 PDF 服務報告（report.js）都讀這一份，換電話改這裡就好
+export const COMPANY = '自然大叔 Natural Uncle 專業清淨職人';
+export const PHONE = '0912-356-331';
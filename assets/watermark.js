@@ -0,0 +1,44 @@
+// assets/watermark.js
+// 照片浮水印：用 Cloudinary 疊圖把 logo 疊到照片上，原圖本身不動
+// 前端（index.html 檢視頁、post.html、gallery.html 縮圖）跟 function（og-post 的 og:image、zip-images 的浮水印版）
+// 都用這一份設定，要換位置 / 透明度改這裡就好；logo 在 cloudinary-config.js
+// 給訪客的網址由 server 組好並簽名（netlify/lib/media.js），這裡看到簽過名的網址就原樣回傳
+import { WATERMARK_LOGO } from './cloudinary-config.js';
+
+export const WATERMARK = {
+  enabled: true,
+  logo: WATERMARK_LOGO,
+  // north_west / north_east / south_west / south_east / center…
+  gravity: 'south_east',
+  // 0–100
+  opacity: 60,
+  // logo 寬度佔照片寬度的比例
+  width: 0.2,
+  // 距離邊緣（照片寬高的比例）
+  margin: 0.03,
+};
+
+// 浮水印那一段轉換參數，停用時回空字串
+export function watermarkTransform(config = WATERMARK) {
+  if (!config || !config.enabled || !config.logo) return '';
+  const layer = config.logo.replace(/\//g, ':');
+  const opacity = Math.min(100, Math.max(0, Math.round(config.opacity)));
+  return `l_${layer},o_${opacity},w_${config.width},fl_relative`
+    + `/fl_layer_apply,g_${config.gravity},x_${config.margin},y_${config.margin}`;
+}
+
+// 簽過名的網址（/upload/s--…--/）已經縮好、加好浮水印，再插參數簽名就對不上了
+export function isSignedUrl(url) {
+  return /\/upload\/s--[^/]+--\//.test(String(url || ''));
+}
+
+// 在 Cloudinary 網址的 /upload/ 後面插 sizing 跟浮水印；不是 Cloudinary 的網址原樣回傳（加不了浮水印）
+// sizing 先做，浮水印的相對寬度才會以縮好的尺寸計算
+export function cloudinaryTransform(url, sizing = '', { watermark = true, config = WATERMARK } = {}) {
+  if (!url || isSignedUrl(url)) return url;
+  const i = url.indexOf('/upload/');
+  if (i < 0) return url;
+  const parts = [sizing, watermark ? watermarkTransform(config) : ''].filter(Boolean);
+  if (!parts.length) return url;
+  return url.slice(0, i + 8) + parts.join('/') + '/' + url.slice(i + 8);
+}
@@ -1,53 +1,86 @@
 // /.netlify/functions/admin-login.js
-import jwt from 'jsonwebtoken';
-
-const CORS_HEADERS = {
-  'content-type': 'application/json',
-  'access-control-allow-origin': '*',
-  'access-control-allow-methods': 'POST,OPTIONS',
-  'access-control-allow-headers': 'content-type,authorization',
-};
-
-function sendJSON(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: CORS_HEADERS,
-  });
+// 管理員登入：回傳短效的 access token，另外用 HttpOnly cookie 發 refresh token（見 admin-refresh.js）
+// POST { username, password }
+// - 帳號密碼存在 _system/users（lib/users.js），密碼是 scrypt 雜湊
+// - 還沒建立任何帳號時，可以不填帳號、用 ADMIN_PASSWORD 登入成 owner，建好帳號後就停用
+// - 失敗太多次會被鎖（lib/login-throttle.js），鎖住時回 429 + retry-after
+import { safeEqual, issueSession } from '../lib/auth.js';
+import { listUsers, normalizeUsername, verifyPassword, BOOTSTRAP_SUB } from '../lib/users.js';
+import { checkLogin, recordFailure, recordSuccess } from '../lib/login-throttle.js';
+import { sendJSON, withCors, clientIp } from '../lib/http.js';
+
+function errorMessage(err) {
+  return (err && (err.message || err.error?.message)) || String(err) || 'Unknown error';
 }
 
-function preflight() {
-  return new Response(null, {
-    status: 204,
-    headers: CORS_HEADERS,
-  });
+function tooMany(retryAfter) {
+  return sendJSON(
+    { error: 'Too many failed attempts, try again later', retry_after: retryAfter },
+    429,
+    { 'retry-after': String(retryAfter) }
+  );
 }
 
-export default async (request) => {
-  // CORS 預檢
-  if (request.method === 'OPTIONS') return preflight();
+export default withCors(async (request) => {
   if (request.method !== 'POST') {
     return sendJSON({ error: 'Method not allowed' }, 405);
   }
 
-  // 讀 body.password
+  if (!process.env.ADMIN_JWT_SECRET) {
+    return sendJSON({ error: 'Admin login is not configured' }, 500);
+  }
+
+  // 讀 body.username / body.password
   let body = null;
   try {
     body = await request.json();
   } catch (_) {}
 
-  const password = body?.password || '';
+  const rawUsername = typeof body?.username === 'string' ? body.username.trim() : '';
+  const password = typeof body?.password === 'string' ? body.password : '';
 
-  // 比對環境變數
-  if (!password || password !== process.env.ADMIN_PASSWORD) {
-    return sendJSON({ error: 'Unauthorized' }, 401);
-  }
+  const ip = clientIp(request);
+  // 讀帳號、失敗次數都要打 Cloudinary，出錯時跟其他 function 一樣回 JSON 的 error
+  try {
+    const gate = await checkLogin(ip);
+    if (!gate.ok) return tooMany(gate.retryAfter);
 
-  // 簽一顆 JWT，12 小時過期
-  const token = jwt.sign(
-    { role: 'admin' },
-    process.env.ADMIN_JWT_SECRET,
-    { expiresIn: '12h' } // 例如 12 小時有效
-  );
+    const users = await listUsers();
+    let identity = null;
+    if (rawUsername) {
+      // 帳號不存在也照樣算一次 scrypt，回應時間不會透露帳號存不存在
+      const user = users.find(u => u.username === normalizeUsername(rawUsername));
+      const ok = await verifyPassword(password, user?.password);
+      if (ok && user && !user.disabled) {
+        identity = { sub: user.username, role: user.role, name: user.name };
+      }
+    } else if (!users.length) {
+      const expected = process.env.ADMIN_PASSWORD || '';
+      if (expected && password && safeEqual(password, expected)) {
+        identity = { sub: BOOTSTRAP_SUB, role: 'owner', name: BOOTSTRAP_SUB };
+      }
+    }
+
+    if (!identity) {
+      const result = await recordFailure(ip);
+      if (result.locked) return tooMany(result.retryAfter);
+      return sendJSON({ error: 'Unauthorized' }, 401);
+    }
 
-  return sendJSON({ token });
-};
+    await recordSuccess(ip);
+
+    const session = issueSession(identity);
+    return sendJSON(
+      {
+        token: session.token,
+        expires_at: session.expires_at,
+        user: { username: identity.sub, name: identity.name, role: identity.role },
+      },
+      200,
+      { 'set-cookie': session.cookie, 'cache-control': 'no-store' }
+    );
+  } catch (err) {
+    try { console.error('[admin-login] error:', err); } catch {}
+    return sendJSON({ error: errorMessage(err) }, 500);
+  }
+}, { methods: 'POST' });
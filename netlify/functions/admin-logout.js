@@ -0,0 +1,27 @@
+// /.netlify/functions/admin-logout.js
+// 登出：目前的 access token 跟 refresh cookie 都記到作廢清單，並清掉 cookie
+// 沒帶 token 或 token 已經過期也回 ok，前端本來就會把自己的 token 丟掉
+import { revokeSession, clearSessionCookie } from '../lib/auth.js';
+import { sendJSON, withCors } from '../lib/http.js';
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const revoked = await revokeSession(request);
+    return sendJSON({ ok: true, revoked }, 200, { 'set-cookie': clearSessionCookie() });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500,
+      { 'set-cookie': clearSessionCookie() }
+    );
+  }
+}, { methods: 'POST' });
@@ -0,0 +1,56 @@
+// /.netlify/functions/admin-refresh.js
+// 用 refresh cookie 換一顆新的 access token（長時間上傳時 token 過期也不用重新登入）
+// 每次換新都會發新的 refresh cookie，舊的立刻作廢；被偷的 refresh token 用過一次就失效
+// 角色跟名稱每次都重新從帳號資料讀，帳號被停用或刪除就換不到新 token
+import { readRefreshToken, issueSession, clearSessionCookie } from '../lib/auth.js';
+import { revokeTokens } from '../lib/revoked.js';
+import { listUsers, BOOTSTRAP_SUB } from '../lib/users.js';
+import { sendJSON, withCors } from '../lib/http.js';
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  const unauthorized = () => sendJSON({ error: 'Unauthorized' }, 401, { 'set-cookie': clearSessionCookie() });
+
+  const refresh = await readRefreshToken(request);
+  if (!refresh) return unauthorized();
+
+  try {
+    const users = await listUsers();
+    const user = users.find(u => u.username === refresh.sub);
+    let identity;
+    if (user) {
+      if (user.disabled) return unauthorized();
+      identity = { sub: user.username, role: user.role, name: user.name };
+    } else if (!users.length && refresh.sub === BOOTSTRAP_SUB) {
+      // 還沒建立帳號前用 ADMIN_PASSWORD 登入的 owner
+      identity = { sub: BOOTSTRAP_SUB, role: 'owner', name: BOOTSTRAP_SUB };
+    } else {
+      return unauthorized();
+    }
+
+    await revokeTokens([{ jti: refresh.jti, exp: refresh.exp }]);
+    const session = issueSession(identity);
+    return sendJSON(
+      {
+        token: session.token,
+        expires_at: session.expires_at,
+        user: { username: identity.sub, name: identity.name, role: identity.role },
+      },
+      200,
+      { 'set-cookie': session.cookie, 'cache-control': 'no-store' }
+    );
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'POST' });
@@ -0,0 +1,99 @@
+// /.netlify/functions/audit.js
+// owner 用：查操作紀錄（誰在什麼時候改了哪個案件、帳號）
+// - ?slug=&action=&actor=&from=&to=&limit=  列出符合的紀錄（新到舊），只有摘要
+//   from / to 可以是 YYYY-MM-DD 或完整 ISO 時間，預設最近 30 天，區間最多 366 天
+//   action 可以只給前綴，例如 batch-posts 會包含 batch-posts:hide
+// - ?id=<id>                                讀一筆完整紀錄（含前後差異）
+import { requireUser, hasRole } from '../lib/auth.js';
+import { listAudit, readAudit } from '../lib/audit.js';
+import { parseSlug } from '../lib/slug.js';
+import { sendJSON, withCors } from '../lib/http.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 只有日期的話 from 從當天 00:00、to 到當天 23:59:59.999（UTC）；沒給回 null，格式錯回 undefined
+function parseDate(raw, endOfDay) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  const d = DATE_ONLY_RE.test(s) ? new Date(s + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z')) : new Date(s);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限：紀錄裡有所有人的操作跟 IP，只有 owner 能看
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  const url = new URL(request.url);
+  const params = url.searchParams;
+
+  try {
+    // 單筆
+    const id = params.get('id');
+    if (id) {
+      const entry = await readAudit(id);
+      if (!entry) {
+        return sendJSON({ error: 'entry not found' }, 404);
+      }
+      return sendJSON(entry);
+    }
+
+    const rawSlug = params.get('slug');
+    const slug = rawSlug ? parseSlug(rawSlug) : null;
+    if (rawSlug && !slug) {
+      return sendJSON({ error: 'invalid slug' }, 400);
+    }
+
+    const rawTo = parseDate(params.get('to'), true);
+    const rawFrom = parseDate(params.get('from'), false);
+    if (rawTo === undefined || rawFrom === undefined) {
+      return sendJSON({ error: 'invalid date' }, 400);
+    }
+    const to = rawTo || new Date();
+    const from = rawFrom || new Date(to.getTime() - DEFAULT_DAYS * DAY_MS);
+    if (from > to) {
+      return sendJSON({ error: 'from must be before to' }, 400);
+    }
+    if (to.getTime() - from.getTime() > MAX_DAYS * DAY_MS) {
+      return sendJSON({ error: `date range too long (max ${MAX_DAYS} days)` }, 400);
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.get('limit'), 10) || DEFAULT_LIMIT));
+
+    const result = await listAudit({
+      from,
+      to,
+      slug,
+      action: params.get('action')?.trim() || null,
+      actor: params.get('actor')?.trim() || null,
+      limit,
+    });
+
+    return sendJSON({ from: from.toISOString(), to: to.toISOString(), ...result });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'GET' });
@@ -0,0 +1,159 @@
+// /.netlify/functions/backup-export.js
+// owner 用：把所有案件（含隱藏、垃圾桶）匯出成備份 zip，還原用 backup-import.js
+// GET ?images=1|0&offset=0
+// - images=1（預設）連原始照片一起打包；0 只有資料
+// - function 回應有大小上限，一次只打包到 PART_BUDGET 左右，還有下一份的話
+//   header 會帶 x-backup-next-offset，前端拿它再呼叫一次，直到沒有為止（每一份都是完整可還原的 zip）
+// - 放不下的案件留到下一份；一個案件的照片自己就超過 PART_BUDGET 的只備份資料，
+//   列在 backup.json 的 failed（data_only: true），也算進 x-backup-failed
+//
+// zip 內容：
+//   backup.json                     { format, version, generated_at, images, part, posts, failed }
+//   <slug>/data.json                案件原始資料（照片網址不變）
+//   <slug>/manifest.json            每個照片檔對應的 item 編號、前後、原本的網址
+//   <slug>/01_before_說明.jpg …     檔名跟 zip-images.js 一樣
+// 歷史版本、操作紀錄、帳號不在備份裡
+import JSZip from 'jszip';
+import { requireUser, hasRole } from '../lib/auth.js';
+import { listPostResources, fetchJSON } from '../lib/store.js';
+import { fileExt, filesOf, fetchAll } from '../lib/archive.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+const BACKUP_FORMAT = 'unclecollage-backup';
+const BACKUP_VERSION = 1;
+// 一份大約多大就收（Netlify function 回應上限 6 MB，留一點給 zip 本身）
+const PART_BUDGET = 4 * 1024 * 1024;
+const MAX_POSTS_PER_PART = 500;
+
+function errorMessage(err) {
+  return (err && (err.message || err.error?.message)) || String(err) || 'Unknown error';
+}
+
+function stamp(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 一個案件加進 zip，回傳加了多少 bytes 跟摘要
+// 照片超過 budget：這一份已經有別的案件（hasOthers）就不加，回 null 留到下一份；不然只放資料（dataOnly）
+async function addPost(zip, target, withImages, { budget, hasOthers }) {
+  const data = await fetchJSON(target);
+  const slug = target.slug;
+  const dataJson = JSON.stringify(data, null, 2);
+
+  const files = withImages ? (Array.isArray(data.items) ? data.items : []).flatMap((it, i) => filesOf(it || {}, i + 1)) : [];
+  const results = await fetchAll(files);
+  const imageBytes = results.reduce((n, res) => n + (res.buf ? res.buf.length : 0), 0);
+  const dataOnly = dataJson.length + imageBytes > budget;
+  if (dataOnly && hasOthers) return null;
+
+  zip.file(`${slug}/data.json`, dataJson);
+  let bytes = dataJson.length;
+  const entries = [];
+  const skipped = [];
+  files.forEach((f, i) => {
+    const res = results[i];
+    if (res.error || dataOnly) {
+      skipped.push({ item: f.no, side: f.side, url: f.url || null, reason: res.error || 'too large for one backup part' });
+      return;
+    }
+    const file = `${f.base}.${fileExt(f.url)}`;
+    zip.file(`${slug}/${file}`, res.buf, { compression: 'STORE' });
+    entries.push({ file, item: f.no, side: f.side, url: f.url, caption: f.caption, ...f.meta, bytes: res.buf.length });
+    bytes += res.buf.length;
+  });
+
+  zip.file(`${slug}/manifest.json`, JSON.stringify({ slug, files: entries, skipped }, null, 2));
+  return { bytes, dataOnly, summary: { slug, title: data.title || '', files: entries.length, skipped: skipped.length } };
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限：備份裡有所有案件（含隱藏、垃圾桶），只有 owner 可以
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  const url = new URL(request.url);
+  const withImages = url.searchParams.get('images') !== '0';
+  const offset = Math.max(0, parseInt(url.searchParams.get('offset'), 10) || 0);
+
+  try {
+    // 照 slug 排序，offset 才會每次都指到同一個案件
+    const targets = (await listPostResources()).sort((a, b) => (a.slug < b.slug ? -1 : a.slug > b.slug ? 1 : 0));
+    if (offset > 0 && offset >= targets.length) {
+      return sendJSON({ error: 'offset out of range', total: targets.length }, 400);
+    }
+
+    const zip = new JSZip();
+    const posts = [];
+    const failed = [];
+    let bytes = 0;
+    let next = offset;
+    while (next < targets.length && posts.length + failed.length < MAX_POSTS_PER_PART) {
+      const target = targets[next];
+      try {
+        const added = await addPost(zip, target, withImages, { budget: PART_BUDGET - bytes, hasOthers: posts.length > 0 });
+        if (!added) break;
+        posts.push(added.summary);
+        bytes += added.bytes;
+        if (added.dataOnly) failed.push({ slug: target.slug, error: 'photos too large for one backup part, data only', data_only: true });
+      } catch (err) {
+        failed.push({ slug: target.slug, error: errorMessage(err) });
+      }
+      next++;
+      if (bytes >= PART_BUDGET) break;
+    }
+    const nextOffset = next < targets.length ? next : null;
+
+    const now = new Date();
+    zip.file('backup.json', JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      generated_at: now.toISOString(),
+      images: withImages,
+      part: { offset, next_offset: nextOffset, total: targets.length },
+      posts,
+      failed,
+    }, null, 2));
+
+    const content = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+
+    await recordAudit(request, user, {
+      action: 'backup-export',
+      details: {
+        offset,
+        next_offset: nextOffset,
+        images: withImages,
+        posts: posts.length,
+        failed: failed.length,
+        summary: `${posts.length} 筆（第 ${offset + 1}–${next} / ${targets.length} 筆）${withImages ? '含照片' : '只有資料'}`,
+      },
+    });
+
+    const filename = `unclecollage-backup-${stamp(now)}-${String(offset + 1).padStart(4, '0')}.zip`;
+    return new Response(content, {
+      status: 200,
+      headers: {
+        'content-type': 'application/zip',
+        'content-disposition': `attachment; filename="${filename}"`,
+        'cache-control': 'no-store',
+        'x-backup-total': String(targets.length),
+        'x-backup-posts': String(posts.length),
+        'x-backup-failed': String(failed.length),
+        ...(nextOffset !== null ? { 'x-backup-next-offset': String(nextOffset) } : {}),
+        'access-control-expose-headers': 'content-disposition,x-backup-total,x-backup-posts,x-backup-failed,x-backup-next-offset',
+      },
+    });
+  } catch (err) {
+    try { console.error('[backup-export] error:', err); } catch {}
+    return sendJSON({ error: errorMessage(err) }, 500);
+  }
+}, { methods: 'GET' });
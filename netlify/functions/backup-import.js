@@ -0,0 +1,168 @@
+// /.netlify/functions/backup-import.js
+// owner 用：把 backup-export.js 匯出的案件還原回來（空的或已經有資料的都可以）
+// POST {
+//   posts: [{ slug, data, to? }],            每個案件的 data.json（前端從備份 zip 讀出來，照片網址已換好）
+//                                            to：rename 時用試算挑好的新 slug（照片已經傳到那個資料夾），被占走就算失敗
+//   conflict: 'skip' | 'overwrite' | 'rename', 同 slug 已存在時的預設做法（預設 skip）
+//   conflicts: { <slug>: 'skip' | ... },      個別 slug 另外指定
+//   reserve: [slug, ...],                    rename 不能挑的 slug：備份裡其他批的案件、試算時前幾批挑好的新 slug
+//   dryRun: true                             只回報會怎麼做，不寫入
+// }
+// → { ok, dryRun, created, overwritten, renamed: [{ from, to }], skipped: [{ slug, reason }], failed: [{ slug, error }], results }
+// - overwrite 蓋掉的舊資料會留成歷史版本；rename 改用 slug-2、slug-3…，
+//   避開已經存在的、這一批跟 reserve 裡的、同一批前面已經挑走的，試算跟實際還原才會挑到同一個
+// - 照片本身由前端處理（還在的沿用原網址，不見的先重新上傳再換網址），這裡只寫 data
+// - request body 有大小上限，前端一次送 MAX_POSTS 筆以內
+import { requireUser, hasRole, actorName } from '../lib/auth.js';
+import { readPost } from '../lib/store.js';
+import { savePost } from '../lib/revisions.js';
+import { upsertCatalogEntries, syncCatalog } from '../lib/catalog.js';
+import { normalizeTags } from '../lib/tags.js';
+import { cleanItems } from '../lib/items.js';
+import { parseSlug, slugExists, suggestSlug } from '../lib/slug.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+const MAX_POSTS = 20;
+const MAX_RESERVE = 5000;
+const MODES = ['skip', 'overwrite', 'rename'];
+
+function errorMessage(err) {
+  return (err && (err.message || err.error?.message)) || String(err) || 'Unknown error';
+}
+
+// 備份裡的 data 整理成可以存的樣子；照片清單不合法回 null
+function restoredRecord(slug, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  const items = Array.isArray(data.items) ? data.items : [];
+  const cleaned = cleanItems(items);
+  if (!cleaned.length || cleaned.length !== items.length) return null;
+  return { ...data, slug, tags: normalizeTags(data.tags), items: cleaned };
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限：會覆蓋任何人的案件，只有 owner 可以
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const dryRun = body?.dryRun === true;
+  const conflict = body?.conflict ?? 'skip';
+  if (!MODES.includes(conflict)) {
+    return sendJSON({ error: 'conflict must be one of ' + MODES.join(', ') }, 400);
+  }
+  const conflicts = body?.conflicts && typeof body.conflicts === 'object' && !Array.isArray(body.conflicts) ? body.conflicts : {};
+  if (Object.values(conflicts).some(m => !MODES.includes(m))) {
+    return sendJSON({ error: 'conflicts values must be one of ' + MODES.join(', ') }, 400);
+  }
+  if (!Array.isArray(body?.posts) || body.posts.length === 0) {
+    return sendJSON({ error: 'posts required' }, 400);
+  }
+  if (body.posts.length > MAX_POSTS) {
+    return sendJSON({ error: `too many posts (max ${MAX_POSTS})` }, 400);
+  }
+  if (body.reserve !== undefined && (!Array.isArray(body.reserve) || body.reserve.length > MAX_RESERVE)) {
+    return sendJSON({ error: `reserve must be an array (max ${MAX_RESERVE})` }, 400);
+  }
+
+  // 備份裡帶進來的 slug（這一批跟 reserve）：rename 挑新 slug 時避開，挑到的也加進來
+  const reserved = new Set(
+    [...body.posts.map(p => p?.slug), ...(body.reserve || [])]
+      .map(s => parseSlug(typeof s === 'string' ? s : ''))
+      .filter(Boolean)
+  );
+  const incoming = new Set(reserved);
+
+  const actor = actorName(user);
+  const updated = [];
+  const seen = new Set();
+  const report = { created: [], overwritten: [], renamed: [], skipped: [], failed: [] };
+  const results = [];
+
+  function fail(slug, error) {
+    report.failed.push({ slug, error });
+    results.push({ slug, ok: false, error });
+  }
+
+  // 一筆一筆做：rename 挑的新 slug 要看得到前一筆剛建好的
+  for (const post of body.posts) {
+    const rawSlug = String(post?.slug ?? '').trim();
+    const slug = parseSlug(rawSlug);
+    if (!slug) { fail(rawSlug, 'invalid slug'); continue; }
+    if (seen.has(slug)) { fail(slug, 'duplicate slug in request'); continue; }
+    seen.add(slug);
+
+    try {
+      const existing = await readPost(slug);
+      // 只看 conflicts 自己的 key（slug 叫 constructor 之類的不會讀到原型上的東西）
+      const override = Object.hasOwn(conflicts, slug) && MODES.includes(conflicts[slug]) ? conflicts[slug] : null;
+      const mode = existing ? (override || conflict) : 'create';
+      if (mode === 'skip') {
+        report.skipped.push({ slug, reason: 'exists' });
+        results.push({ slug, ok: true, action: 'skip' });
+        continue;
+      }
+
+      let target = slug;
+      if (mode === 'rename') {
+        if (post.to == null) {
+          target = await suggestSlug(slug, reserved);
+        } else {
+          const planned = parseSlug(String(post.to));
+          if (!planned || planned === slug || incoming.has(planned)) { fail(slug, 'invalid rename target'); continue; }
+          if (reserved.has(planned) || (await slugExists(planned))) { fail(slug, `rename target ${planned} already exists`); continue; }
+          target = planned;
+        }
+        reserved.add(target);
+      }
+      const record = restoredRecord(target, post.data);
+      if (!record) { fail(slug, 'each item needs url or before/after'); continue; }
+
+      if (!dryRun) {
+        const previous = mode === 'overwrite' ? existing : null;
+        await savePost(target, record, { action: 'backup-import', actor, previous });
+        updated.push({ slug: target, data: record });
+        await recordAudit(request, user, {
+          action: 'backup-import',
+          slug: target,
+          before: previous,
+          after: record,
+          details: {
+            mode,
+            ...(target !== slug ? { from: slug } : {}),
+            summary: mode === 'overwrite' ? '從備份覆蓋' : mode === 'rename' ? `從備份另存（原 ${slug}）` : '從備份新建',
+          },
+        });
+      }
+
+      if (mode === 'overwrite') report.overwritten.push(slug);
+      else if (mode === 'rename') report.renamed.push({ from: slug, to: target });
+      else report.created.push(slug);
+      results.push({ slug, ok: true, action: mode, ...(target !== slug ? { to: target } : {}) });
+    } catch (err) {
+      fail(slug, errorMessage(err));
+    }
+  }
+
+  // 索引最後一次寫回，避免同時 upsert 互相蓋掉
+  if (updated.length) {
+    await syncCatalog(() => upsertCatalogEntries(updated), 'backup-import');
+  }
+
+  return sendJSON({ ok: report.failed.length === 0, dryRun, ...report, results });
+}, { methods: 'POST' });
@@ -0,0 +1,128 @@
+// /.netlify/functions/batch-posts.js
+// 管理員用：一次對很多案件做同一個動作，回報每個 slug 的成功 / 失敗
+// POST { action: 'hide' | 'unhide' | 'delete' | 'addTag' | 'removeTag', slugs: [...], tag? }
+// - hide / unhide 跟 update-visible.js 一樣改 visible
+// - delete 跟 delete-post.js 一樣是移到垃圾桶
+// - 有改到的每個 slug 各記一筆操作紀錄（batch-posts:<action>）
+import { requireUser, hasRole, canEditPost, actorName } from '../lib/auth.js';
+import { readPost } from '../lib/store.js';
+import { savePost } from '../lib/revisions.js';
+import { upsertCatalogEntries, syncCatalog } from '../lib/catalog.js';
+import { normalizeTag, normalizeTags, sameTag } from '../lib/tags.js';
+import { markDeleted } from '../lib/trash.js';
+import { parseSlug } from '../lib/slug.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+const MAX_SLUGS = 100;
+const CONCURRENCY = 5;
+
+// 每個動作：拿舊資料回傳新資料（複本），不需要改的回傳 null
+const ACTIONS = {
+  hide: data => (data.visible === false ? null : { ...data, visible: false }),
+  unhide: data => (data.visible === false ? { ...data, visible: true } : null),
+  delete: data => (data.deleted_at ? null : markDeleted(data)),
+  addTag: (data, tag) => {
+    const tags = normalizeTags(data.tags);
+    return tags.some(t => sameTag(t, tag)) ? null : { ...data, tags: normalizeTags([...tags, tag]) };
+  },
+  removeTag: (data, tag) => {
+    const tags = normalizeTags(data.tags);
+    return tags.some(t => sameTag(t, tag)) ? { ...data, tags: tags.filter(t => !sameTag(t, tag)) } : null;
+  },
+};
+
+function errorMessage(err) {
+  return (err && (err.message || err.error?.message)) || String(err) || 'Unknown error';
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const action = body?.action;
+  const apply = Object.hasOwn(ACTIONS, action) ? ACTIONS[action] : null;
+  if (!apply) {
+    return sendJSON({ error: 'unknown action' }, 400);
+  }
+
+  const tag = normalizeTag(body?.tag);
+  if ((action === 'addTag' || action === 'removeTag') && !tag) {
+    return sendJSON({ error: 'tag required' }, 400);
+  }
+
+  if (!Array.isArray(body?.slugs) || body.slugs.length === 0) {
+    return sendJSON({ error: 'slugs required' }, 400);
+  }
+  const rawSlugs = Array.from(new Set(body.slugs.map(s => String(s ?? '').trim())));
+  if (rawSlugs.length > MAX_SLUGS) {
+    return sendJSON({ error: `too many slugs (max ${MAX_SLUGS})` }, 400);
+  }
+
+  const actor = actorName(user);
+  const updated = [];
+
+  async function processOne(rawSlug) {
+    const slug = parseSlug(rawSlug);
+    if (!slug) return { slug: rawSlug, ok: false, error: 'invalid slug' };
+
+    try {
+      const previous = await readPost(slug);
+      if (!previous) return { slug, ok: false, error: 'not found' };
+      // editor 只能動自己建立的案件，其他的個別回報失敗
+      if (!canEditPost(user, previous)) return { slug, ok: false, error: 'forbidden' };
+
+      const data = apply(previous, tag);
+      // 本來就是目標狀態：算成功，但不寫入也不留歷史版本
+      if (!data) return { slug, ok: true, changed: false };
+
+      await savePost(slug, data, { action: `batch-posts:${action}`, actor, previous });
+      updated.push({ slug, data });
+      await recordAudit(request, user, {
+        action: `batch-posts:${action}`,
+        slug,
+        before: previous,
+        after: data,
+        ...(tag ? { details: { tag } } : {}),
+      });
+      return { slug, ok: true, changed: true };
+    } catch (err) {
+      return { slug, ok: false, error: errorMessage(err) };
+    }
+  }
+
+  // 限制同時處理的數量，不要一次打爆 Cloudinary
+  const results = [];
+  for (let i = 0; i < rawSlugs.length; i += CONCURRENCY) {
+    results.push(...(await Promise.all(rawSlugs.slice(i, i + CONCURRENCY).map(processOne))));
+  }
+
+  // 索引最後一次寫回，避免同時 upsert 互相蓋掉
+  await syncCatalog(() => upsertCatalogEntries(updated), 'batch-posts');
+
+  const failed = results.filter(r => !r.ok).length;
+  return sendJSON({
+    ok: failed === 0,
+    action,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  });
+}, { methods: 'POST' });
@@ -0,0 +1,157 @@
+// /.netlify/functions/collage.js
+// 產生某個案件的拼貼圖網址（Cloudinary 疊圖），版面跟前端「產生拼貼圖」用同一份 assets/collage-layout.js
+// GET ?slug=xxx&layout=2x2|3x3|ba&width=1080&format=jpg|png
+// - 回傳 { slug, layout, width, height, url }
+// - 帶 redirect=1 直接 302 到圖片，可以當 <img src> 或貼到 LINE / FB
+// 隱藏案件跟 get-post 一樣要管理員或分享 token（?token=），垃圾桶裡的只有管理員
+import { cloudinary, readPost } from '../lib/store.js';
+import { canViewHidden, requireUser } from '../lib/auth.js';
+import { parseSlug } from '../lib/slug.js';
+import { isLive } from '../lib/publish.js';
+import { LAYOUTS, COLORS, computeLayout, isLayout, DEFAULT_LAYOUT } from '../../assets/collage-layout.js';
+import { publicIdFromUrl } from '../lib/media.js';
+import { sendJSON, withCors } from '../lib/http.js';
+
+const FONT = 'Noto Sans TC';
+const FORMATS = ['jpg', 'png'];
+
+// 疊一張圖：自己的圖用 public_id（資料夾的 / 要換成 :），其他網址（publicIdFromUrl 回 null）用 fetch
+function imageLayer(url) {
+  const pid = publicIdFromUrl(url);
+  return pid ? { public_id: pid.replace(/\//g, ':') } : { url };
+}
+
+function textLayer(t) {
+  return {
+    overlay: { font_family: FONT, font_size: t.size, font_weight: t.weight, text: t.text },
+    color: t.color,
+  };
+}
+
+const place = (x, y, gravity = 'north_west') => ({ flags: 'layer_apply', gravity, x, y });
+
+// logo：有設 COLLAGE_LOGO_ID 就用 Cloudinary 上的那張，否則抓網站上的 logo.png
+function logoLayer() {
+  const id = process.env.COLLAGE_LOGO_ID;
+  if (id) return { public_id: id.replace(/\//g, ':') };
+  const site = process.env.URL;
+  return site ? { url: new URL('/logo.png', site).href } : null;
+}
+
+function collageUrl(layout, format = 'jpg') {
+  const { width, height, cells, texts, labelSize } = layout;
+  const first = cells[0];
+  const firstPid = publicIdFromUrl(first.url);
+
+  // 底圖借第一張照片，拉成整張圖的大小再整片塗成背景色
+  const transformation = [
+    { width, height, crop: 'scale' },
+    { effect: 'colorize:100', color: layout.background },
+  ];
+
+  for (const c of cells) {
+    transformation.push(
+      { overlay: imageLayer(c.url), width: c.w, height: c.h, crop: 'fill', gravity: 'auto' },
+      place(c.x, c.y)
+    );
+  }
+
+  const labelOffset = Math.round(labelSize * 0.6);
+  for (const c of cells) {
+    if (!c.label) continue;
+    transformation.push(
+      {
+        overlay: { font_family: FONT, font_size: labelSize, font_weight: 'bold', text: ` ${c.label} ` },
+        color: COLORS.labelFg,
+        background: `${COLORS.labelBg}bf`,
+      },
+      place(c.x + labelOffset, c.y + labelOffset)
+    );
+  }
+
+  for (const t of texts) {
+    if (t.text) transformation.push(textLayer(t), place(t.x, t.y));
+  }
+
+  const logo = logoLayer();
+  if (logo) {
+    transformation.push(
+      { overlay: logo, width: layout.logo.w, height: layout.logo.h, crop: 'fit' },
+      place(width - layout.logo.x - layout.logo.w, layout.logo.y, 'north_east')
+    );
+  }
+
+  return cloudinary.url(firstPid || first.url, {
+    secure: true,
+    type: firstPid ? 'upload' : 'fetch',
+    format,
+    transformation,
+    // 簽名：網址裡的疊圖參數改不得（Strict transformations 開著也能用）
+    sign_url: true,
+  });
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  const url = new URL(request.url);
+  const rawSlug = url.searchParams.get('slug');
+  const slug = parseSlug(rawSlug);
+  if (!slug) {
+    return sendJSON({ error: rawSlug ? 'invalid slug' : 'slug required' }, 400);
+  }
+
+  const layoutName = url.searchParams.get('layout') || DEFAULT_LAYOUT;
+  if (!isLayout(layoutName)) {
+    return sendJSON({ error: `unknown layout (${Object.keys(LAYOUTS).join(', ')})` }, 400);
+  }
+  const format = (url.searchParams.get('format') || 'jpg').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return sendJSON({ error: 'format must be jpg or png' }, 400);
+  }
+
+  try {
+    const data = await readPost(slug);
+    if (!data) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+    // 跟 get-post 一樣：垃圾桶只給管理員，隱藏（含排程時間外）的要管理員或分享 token
+    if (data.deleted_at && !(await requireUser(request))) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+    if (!isLive(data) && !(await canViewHidden(request, slug))) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+
+    const layout = computeLayout(data.items, {
+      layout: layoutName,
+      width: url.searchParams.get('width'),
+      title: data.title || slug,
+      date: data.date ? new Date(data.date).toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' }) : '',
+    });
+    if (!layout.cells.length) {
+      return sendJSON({ error: LAYOUTS[layoutName].pairs ? 'no before/after photos' : 'no photos' }, 422);
+    }
+
+    const imageUrl = collageUrl(layout, format);
+    if (url.searchParams.get('redirect') === '1') {
+      return new Response(null, {
+        status: 302,
+        headers: { location: imageUrl },
+      });
+    }
+
+    return sendJSON({
+      slug,
+      layout: layout.layout,
+      width: layout.width,
+      height: layout.height,
+      url: imageUrl,
+    });
+  } catch (err) {
+    try { console.error('[collage] error:', err); } catch {}
+    return sendJSON({ error: err?.message || String(err) }, 500);
+  }
+}, { methods: 'GET' });
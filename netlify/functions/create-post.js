@@ -1,35 +1,14 @@
 // /.netlify/functions/create-post.js
-import { v2 as cloudinary } from 'cloudinary';
-import crypto from 'crypto';
-
-// Cloudinary 後端認證
-cloudinary.config({
-  cloud_name: process.env.CLD_CLOUD_NAME,
-  api_key: process.env.CLD_API_KEY,
-  api_secret: process.env.CLD_API_SECRET,
-});
-
-// ---- CORS ----
-const CORS_HEADERS = {
-  'content-type': 'application/json',
-  'access-control-allow-origin': '*',
-  'access-control-allow-methods': 'POST,OPTIONS',
-  'access-control-allow-headers': 'content-type,authorization',
-};
-
-function sendJSON(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: CORS_HEADERS,
-  });
-}
-
-function preflight() {
-  return new Response(null, {
-    status: 204,
-    headers: CORS_HEADERS,
-  });
-}
+import { savePost } from '../lib/revisions.js';
+import { normalizeTags } from '../lib/tags.js';
+import { cleanItems } from '../lib/items.js';
+import { requireUser, hasRole, canEditPost, actorName } from '../lib/auth.js';
+import { upsertCatalogEntry, syncCatalog } from '../lib/catalog.js';
+import { normalizeSlug, slugExists, suggestSlug } from '../lib/slug.js';
+import { readPost } from '../lib/store.js';
+import { applyPublishWindow } from '../lib/publish.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
 
 function errorJSON(err, status = 500) {
   const msg =
@@ -39,84 +18,23 @@ function errorJSON(err, status = 500) {
   try {
     console.error('[create-post] error:', err);
   } catch {}
-  return new Response(JSON.stringify({ error: msg }), {
-    status,
-    headers: CORS_HEADERS,
-  });
-}
-
-// ---- JWT 驗證 (HS256) - 和 list-posts.js 同一套 ----
-function base64url(input) {
-  return Buffer.from(input)
-    .toString('base64')
-    .replace(/=/g, '')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_');
-}
-
-function b64urlJson(str) {
-  const pad =
-    str.length % 4 === 2 ? '==' : str.length % 4 === 3 ? '=' : '';
-  const s = str.replace(/-/g, '+').replace(/_/g, '/') + pad;
-  return JSON.parse(Buffer.from(s, 'base64').toString('utf8'));
-}
-
-function verifyJWT(token, secret) {
-  try {
-    const [h, p, s] = token.split('.');
-    if (!h || !p || !s) return null;
-    const header = b64urlJson(h);
-    if (header.alg !== 'HS256') return null;
-
-    const expected = crypto
-      .createHmac('sha256', secret)
-      .update(`${h}.${p}`)
-      .digest('base64')
-      .replace(/=/g, '')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_');
-
-    if (expected !== s) return null;
-
-    const payload = b64urlJson(p);
-    // 過期檢查 (exp 是秒)
-    if (payload.exp && Date.now() >= payload.exp * 1000) return null;
-
-    return payload;
-  } catch {
-    return null;
-  }
-}
-
-function requireAdmin(request) {
-  const authHeader = request.headers.get('authorization') || '';
-  const m = authHeader.match(/^Bearer\s+(.+)$/i);
-  if (!m) return null;
-
-  const secret = process.env.ADMIN_JWT_SECRET || '';
-  if (!secret) return null;
-
-  const payload = verifyJWT(m[1], secret);
-  if (!payload) return null;
-  if (payload.role !== 'admin') return null;
-
-  return payload;
+  return sendJSON({ error: msg }, status);
 }
 
 // ---- Handler ----
-export default async (request) => {
-  // CORS 預檢
-  if (request.method === 'OPTIONS') return preflight();
-
+export default withCors(async (request) => {
   if (request.method !== 'POST') {
     return sendJSON({ error: 'Method not allowed' }, 405);
   }
 
-  // 確認你是管理員
-  const admin = requireAdmin(request);
-  if (!admin) {
+  // 確認登入，而且是 editor 以上
+  const user = await requireUser(request);
+  if (!user) {
     return sendJSON({ error: 'Unauthorized' }, 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
 
   // 解析 body
   let body = null;
@@ -126,18 +44,63 @@ export default async (request) => {
     return sendJSON({ error: 'Invalid JSON body' }, 400);
   }
 
-  const { title, date, desc, tags, slug, items, visible } = body || {};
+  const { title, date, desc, tags, items, visible } = body || {};
+  // overwrite: 明確要覆蓋同 slug 的舊案件；autoSuffix: 撞名時自動改用 slug-2、slug-3…
+  // dryRun: 只檢查 slug（前端上傳圖片前先問一次），不寫入任何東西
+  const { overwrite, autoSuffix, dryRun } = body || {};
 
   // 基本驗證
-  if (!slug || !String(slug).trim()) {
+  if (!body?.slug || !String(body.slug).trim()) {
     return sendJSON({ error: 'slug required' }, 400);
   }
+  let slug = normalizeSlug(body.slug);
+  if (!slug) {
+    return sendJSON({ error: 'invalid slug' }, 400);
+  }
+
+  // 同 slug 已存在：預設回 409 並附上建議的替代 slug
+  try {
+    if (overwrite !== true && (await slugExists(slug))) {
+      const suggested = await suggestSlug(slug);
+      if (autoSuffix === true) {
+        slug = suggested;
+      } else {
+        return sendJSON({ error: 'slug already exists', slug, suggested }, 409);
+      }
+    }
+  } catch (err) {
+    return errorJSON(err, 500);
+  }
+
+  // 覆蓋舊案件等於修改它：editor 只能覆蓋自己建立的
+  // 讀到的舊資料也留給歷史版本跟操作紀錄用
+  let previous = null;
+  if (overwrite === true) {
+    try {
+      previous = await readPost(slug);
+      if (previous && !canEditPost(user, previous)) {
+        return sendJSON({ error: 'Forbidden' }, 403);
+      }
+    } catch (err) {
+      return errorJSON(err, 500);
+    }
+  }
+
+  if (dryRun === true) {
+    return sendJSON({ ok: true, slug, dryRun: true }, 200);
+  }
+
   if (!Array.isArray(items) || items.length === 0) {
     return sendJSON({ error: 'items required' }, 400);
   }
+  // 每一項要嘛是單張 { url }，要嘛是前後對比 { before, after }
+  const cleaned = cleanItems(items);
+  if (cleaned.length !== items.length) {
+    return sendJSON({ error: 'each item needs url or before/after' }, 400);
+  }
 
-  // 第一張圖當預覽縮圖
-  const previewUrl = items[0]?.url || null;
+  // 第一張圖當預覽縮圖（前後對比用清洗後那張）
+  const previewUrl = cleaned[0].url || cleaned[0].after || null;
 
   // 我們要儲存的資料格式
   const record = {
@@ -145,31 +108,35 @@ export default async (request) => {
     title,
     date,
     desc: desc || '',
-    tags,
-    items, // [{ url, caption }, ...]
+    tags: normalizeTags(tags),
+    items: cleaned, // [{ url | before, after, caption, floor?, place?, serviceType? }, ...]
     created_at: new Date().toISOString(),
     preview: previewUrl,
     visible: typeof visible === 'boolean' ? visible : true, // 預設上架，除非前端指定隱藏
+    // 建立的帳號；editor 只能修改自己 author 的案件。覆蓋舊案件時沿用原本的，不然原本的 editor 就改不了了
+    author: previous ? previous.author : user.sub,
   };
+  // 排程上架 / 下架時間（選填）
+  const publishError = applyPublishWindow(record, body);
+  if (publishError) {
+    return sendJSON({ error: publishError }, 400);
+  }
 
   try {
-    // 上傳成 raw JSON 到 Cloudinary
-    const jsonBase64 = Buffer.from(JSON.stringify(record)).toString(
-      'base64'
-    );
-
-    await cloudinary.uploader.upload(
-      `data:application/json;base64,${jsonBase64}`,
-      {
-        resource_type: 'raw',
-        public_id: `collages/${slug}/data`,
-        overwrite: true,
-        format: 'json',
-      }
-    );
+    // 上傳成 raw JSON 到 Cloudinary（collages/<slug>/data）
+    // 沒有 overwrite 時前面已確認 slug 不存在，不用再讀一次舊資料；overwrite 蓋掉的舊案件會留成歷史版本
+    await savePost(slug, record, { action: 'create-post', actor: actorName(user), previous });
+    await syncCatalog(() => upsertCatalogEntry(slug, record), 'create-post');
+    await recordAudit(request, user, {
+      action: 'create-post',
+      slug,
+      before: previous,
+      after: record,
+      ...(previous ? { details: { overwrite: true } } : {}),
+    });
 
     return sendJSON({ ok: true, slug }, 200);
   } catch (err) {
     return errorJSON(err, 500);
   }
-};
+}, { methods: 'POST' });
@@ -1,56 +1,19 @@
 // /.netlify/functions/delete-post.js
-import { v2 as cloudinary } from 'cloudinary';
-import jwt from 'jsonwebtoken';
+import { moveToTrash, purgeAfter } from '../lib/trash.js';
+import { requireUser, hasRole, canEditPost, actorName } from '../lib/auth.js';
+import { slugFromBody } from '../lib/slug.js';
+import { readPost } from '../lib/store.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
 
-cloudinary.config({
-  cloud_name: process.env.CLD_CLOUD_NAME,
-  api_key: process.env.CLD_API_KEY,
-  api_secret: process.env.CLD_API_SECRET,
-});
-
-const CORS_HEADERS = {
-  'content-type': 'application/json',
-  'access-control-allow-origin': '*',
-  'access-control-allow-methods': 'POST,OPTIONS',
-  'access-control-allow-headers': 'content-type,authorization',
-};
-
-function sendJSON(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: CORS_HEADERS,
-  });
-}
-
-function preflight() {
-  return new Response(null, {
-    status: 204,
-    headers: CORS_HEADERS,
-  });
-}
-
-// 驗證管理員 JWT
-function requireAdmin(request) {
-  const authHeader = request.headers.get('authorization') || '';
-  const m = authHeader.match(/^Bearer\s+(.+)$/i);
-  if (!m) return null;
-  try {
-    const decoded = jwt.verify(m[1], process.env.ADMIN_JWT_SECRET);
-    if (decoded && decoded.role === 'admin') return decoded;
-  } catch (_) {}
-  return null;
-}
-
-export default async (request) => {
-  // CORS 預檢
-  if (request.method === 'OPTIONS') return preflight();
+export default withCors(async (request) => {
   if (request.method !== 'POST') {
     return sendJSON({ error: 'Method not allowed' }, 405);
   }
 
   // 檢查權限
-  const admin = requireAdmin(request);
-  if (!admin) {
+  const user = await requireUser(request);
+  if (!user) {
     return sendJSON({ error: 'Unauthorized' }, 401);
   }
 
@@ -62,32 +25,31 @@ export default async (request) => {
     return sendJSON({ error: 'Invalid JSON body' }, 400);
   }
 
-  const slug = body?.slug?.trim();
+  const { slug, error: slugError } = slugFromBody(body);
   if (!slug) {
-    return sendJSON({ error: 'slug required' }, 400);
+    return sendJSON({ error: slugError }, 400);
   }
 
-  try {
-    const folderPrefix = `collages/${slug}/`;
-
-    // 1. 刪掉這個 slug 底下的「圖片 (resource_type:image)」
-    // 2. 刪掉這個 slug 底下的「raw 檔案 (data.json)」
-    // 我們用 delete_resources_by_prefix 會全清該 prefix 底下所有 public_id
-    await cloudinary.api.delete_resources_by_prefix(folderPrefix, {
-      resource_type: 'image',
-      type: 'upload',
-    });
-
-    await cloudinary.api.delete_resources_by_prefix(folderPrefix, {
-      resource_type: 'raw',
-      type: 'upload',
-    });
+  // 權限：owner 全部，editor 只能動自己建立的案件
+  if (!hasRole(user, 'editor')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
 
-    // 3. 嘗試刪掉資料夾本身
-    //   Cloudinary 的管理 API 支援 delete_folder 來清理空資料夾
-    await cloudinary.api.delete_folder(folderPrefix);
+  try {
+    // 先讀一次：editor 要確認是自己建立的，讀到的舊資料也給操作紀錄用
+    const current = await readPost(slug);
+    if (current && !canEditPost(user, current)) {
+      return sendJSON({ error: 'Forbidden' }, 403);
+    }
+    // 不再直接刪除：標記 deleted_at 移到垃圾桶，到處都看不到，保留期間內可還原
+    // 真正刪除請用 purge-post.js
+    const data = await moveToTrash(slug, actorName(user));
+    if (!data) {
+      return sendJSON({ error: 'data.json not found for slug ' + slug }, 404);
+    }
+    await recordAudit(request, user, { action: 'delete-post', slug, before: current, after: data });
 
-    return sendJSON({ ok: true, slug });
+    return sendJSON({ ok: true, slug, deleted_at: data.deleted_at, purge_after: purgeAfter(data.deleted_at) });
   } catch (err) {
     return sendJSON(
       {
@@ -99,4 +61,4 @@ export default async (request) => {
       500
     );
   }
-};
+}, { methods: 'POST' });
@@ -0,0 +1,224 @@
+// /.netlify/functions/feed.js
+// 公開的案件訂閱：部落格、LINE 官方帳號工具、RSS 閱讀器用
+// - /feed.xml → RSS 2.0、/atom.xml → Atom、/feed.json → JSON Feed 1.1（也可以用 ?format=rss|atom|json 指定）
+// - ?tag=冷氣、?serviceType=分離式冷氣：跟 list-posts 一樣的篩選；?limit= 筆數（預設 20，最多 50）
+// - 只收對外看得到的案件（沒隱藏、不在垃圾桶、在排程上架時間內），資料來自總覽索引，不逐一讀 data.json
+// - 排程上架會隨時間改變內容，所以只快取幾分鐘；有 ETag，閱讀器重抓沒變動時回 304
+import crypto from 'node:crypto';
+import { getCatalog } from '../lib/catalog.js';
+import { isLive } from '../lib/publish.js';
+import { signedImageUrl } from '../lib/media.js';
+
+const SITE_NAME = '自然大叔 清洗照片';
+const DEFAULT_DESC = '自然大叔 Natural Uncle 專業清淨職人：冷氣、水塔、洗衣機清洗實績照片。';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const FEED_IMAGE_TRANSFORM = 'c_limit,w_1200,f_jpg,q_auto';
+const CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=600';
+
+const FORMATS = {
+  rss: { type: 'application/rss+xml; charset=utf-8', path: '/feed.xml', render: renderRss },
+  atom: { type: 'application/atom+xml; charset=utf-8', path: '/atom.xml', render: renderAtom },
+  json: { type: 'application/feed+json; charset=utf-8', path: '/feed.json', render: renderJsonFeed },
+};
+
+function escapeXml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toInt(v, fallback) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// 網址決定格式，?format= 可以覆蓋
+function pickFormat(url) {
+  const wanted = (url.searchParams.get('format') || '').trim().toLowerCase();
+  if (Object.hasOwn(FORMATS, wanted)) return wanted;
+  return Object.keys(FORMATS).find(k => FORMATS[k].path === url.pathname) || 'rss';
+}
+
+// 上架時間：有排程就是排程時間，不然用案件日期 / 建立時間
+function publishedAt(p) {
+  const t = new Date(p.publish_at || p.date || p.created_at || 0);
+  return Number.isNaN(t.getTime()) ? new Date(0) : t;
+}
+
+function updatedAt(p) {
+  const t = new Date(p.updated_at || p.created_at || 0);
+  const published = publishedAt(p);
+  return Number.isNaN(t.getTime()) || t < published ? published : t;
+}
+
+function toEntry(p, origin) {
+  const link = new URL('/post.html', origin);
+  link.searchParams.set('slug', p.slug);
+  return {
+    id: link.href,
+    url: link.href,
+    title: p.title || p.slug,
+    summary: p.excerpt || '',
+    image: p.preview ? signedImageUrl(p.preview, FEED_IMAGE_TRANSFORM) : '',
+    tags: p.tags || [],
+    published: publishedAt(p),
+    updated: updatedAt(p),
+  };
+}
+
+// 閱讀器裡顯示的內文：預覽圖 + 摘要
+function entryHtml(e) {
+  const parts = [];
+  if (e.image) parts.push(`<p><img src="${escapeXml(e.image)}" alt="${escapeXml(e.title)}"/></p>`);
+  if (e.summary) parts.push(`<p>${escapeXml(e.summary)}</p>`);
+  return parts.join('');
+}
+
+function renderRss(feed) {
+  const items = feed.entries.map(e => [
+    '    <item>',
+    `      <title>${escapeXml(e.title)}</title>`,
+    `      <link>${escapeXml(e.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(e.id)}</guid>`,
+    `      <pubDate>${e.published.toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(entryHtml(e))}</description>`,
+    ...e.tags.map(t => `      <category>${escapeXml(t)}</category>`),
+    ...(e.image ? [`      <media:content url="${escapeXml(e.image)}" medium="image"/>`] : []),
+    '    </item>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(DEFAULT_DESC)}</description>`,
+    '    <language>zh-TW</language>',
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function renderAtom(feed) {
+  const entries = feed.entries.map(e => [
+    '  <entry>',
+    `    <id>${escapeXml(e.id)}</id>`,
+    `    <title>${escapeXml(e.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(e.url)}"/>`,
+    `    <published>${e.published.toISOString()}</published>`,
+    `    <updated>${e.updated.toISOString()}</updated>`,
+    ...(e.summary ? [`    <summary>${escapeXml(e.summary)}</summary>`] : []),
+    `    <content type="html">${escapeXml(entryHtml(e))}</content>`,
+    ...e.tags.map(t => `    <category term="${escapeXml(t)}"/>`),
+    '  </entry>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-TW">',
+    `  <id>${escapeXml(feed.homeUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(DEFAULT_DESC)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <author><name>${escapeXml(SITE_NAME)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: DEFAULT_DESC,
+    language: 'zh-TW',
+    authors: [{ name: SITE_NAME }],
+    items: feed.entries.map(e => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      ...(e.summary ? { summary: e.summary } : {}),
+      content_html: entryHtml(e),
+      ...(e.image ? { image: e.image } : {}),
+      date_published: e.published.toISOString(),
+      date_modified: e.updated.toISOString(),
+      ...(e.tags.length ? { tags: e.tags } : {}),
+    })),
+  }, null, 2);
+}
+
+export default async (request) => {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const format = pickFormat(url);
+    const tag = (url.searchParams.get('tag') || '').trim().toLowerCase();
+    const serviceType = (url.searchParams.get('serviceType') || '').trim();
+    const limit = Math.min(MAX_LIMIT, toInt(url.searchParams.get('limit'), DEFAULT_LIMIT));
+
+    const catalog = await getCatalog();
+    const now = Date.now();
+    let posts = catalog.posts.filter(p => !p.deleted_at && isLive(p, now));
+    if (tag) {
+      posts = posts.filter(p => (p.tags || []).some(t => String(t).toLowerCase() === tag));
+    }
+    if (serviceType) {
+      posts = posts.filter(p => (p.serviceTypes || []).includes(serviceType));
+    }
+    posts.sort((a, b) => publishedAt(b) - publishedAt(a));
+
+    const entries = posts.slice(0, limit).map(p => toEntry(p, url.origin));
+    // 篩選條件留在 self 連結上，訂閱的是哪一份就是哪一份
+    const feedUrl = new URL(FORMATS[format].path, url.origin);
+    for (const [k, v] of url.searchParams) {
+      if (k !== 'format') feedUrl.searchParams.set(k, v);
+    }
+    const filterLabel = [tag && url.searchParams.get('tag').trim(), serviceType].filter(Boolean).join('・');
+    const feed = {
+      title: filterLabel ? `${SITE_NAME}｜${filterLabel}` : SITE_NAME,
+      homeUrl: new URL('/gallery.html', url.origin).href,
+      feedUrl: feedUrl.href,
+      updated: entries.reduce((max, e) => (e.updated > max ? e.updated : max), new Date(0)),
+      entries,
+    };
+    if (!entries.length) feed.updated = new Date(catalog.updated_at || now);
+
+    const body = FORMATS[format].render(feed);
+    const etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const headers = {
+      'content-type': FORMATS[format].type,
+      'cache-control': CACHE_CONTROL,
+      'last-modified': feed.updated.toUTCString(),
+      etag,
+    };
+
+    const inm = request.headers.get('if-none-match') || '';
+    if (inm.split(',').map(s => s.trim()).includes(etag)) {
+      return new Response(null, { status: 304, headers });
+    }
+    return new Response(request.method === 'HEAD' ? null : body, { status: 200, headers });
+  } catch (err) {
+    try { console.error('[feed] error:', err); } catch {}
+    return new Response('feed unavailable', {
+      status: 500,
+      headers: { 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'no-store' },
+    });
+  }
+};
+
+export const config = { path: ['/feed.xml', '/atom.xml', '/feed.json'] };
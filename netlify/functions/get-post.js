@@ -1,68 +1,47 @@
 // /.netlify/functions/get-post.js
-import { v2 as cloudinary } from 'cloudinary';
-
-// Cloudinary 後端認證
-cloudinary.config({
-  cloud_name: process.env.CLD_CLOUD_NAME,
-  api_key: process.env.CLD_API_KEY,
-  api_secret: process.env.CLD_API_SECRET,
-});
-
-// CORS header
-const CORS_HEADERS = {
-  'content-type': 'application/json',
-  'access-control-allow-origin': '*',
-  'access-control-allow-methods': 'GET,OPTIONS',
-  'access-control-allow-headers': 'content-type,authorization',
-};
-
-function sendJSON(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: CORS_HEADERS,
-  });
-}
-
-function preflight() {
-  return new Response(null, {
-    status: 204,
-    headers: CORS_HEADERS,
-  });
-}
-
-export default async (request) => {
-  // CORS 預檢
-  if (request.method === 'OPTIONS') return preflight();
-
+import { canViewHidden, requireUser } from '../lib/auth.js';
+import { parseSlug } from '../lib/slug.js';
+import { readPost } from '../lib/store.js';
+import { publicPost } from '../lib/media.js';
+import { isLive } from '../lib/publish.js';
+import { sendJSON, withCors } from '../lib/http.js';
+
+export default withCors(async (request) => {
   if (request.method !== 'GET') {
     return sendJSON({ error: 'Method not allowed' }, 405);
   }
 
   try {
     const url = new URL(request.url);
-    const slug = url.searchParams.get('slug');
+    const rawSlug = url.searchParams.get('slug');
+    const slug = parseSlug(rawSlug);
 
     if (!slug) {
-      return sendJSON({ error: 'slug required' }, 400);
+      return sendJSON({ error: rawSlug ? 'invalid slug' : 'slug required' }, 400);
     }
 
-    const cloud = process.env.CLD_CLOUD_NAME;
-    const dataUrl = `https://res.cloudinary.com/${cloud}/raw/upload/collages/${encodeURIComponent(
-      slug
-    )}/data.json`;
+    // 要讀最新一份（readPost 走 private 的下載網址），不會拿到隱藏、刪除之前的 CDN 快取
+    const data = await readPost(slug);
+    if (!data) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
 
-    const resp = await fetch(dataUrl);
-    if (!resp.ok) {
+    // 垃圾桶裡的案件只有登入的帳號看得到（分享 token 不算數）
+    const user = await requireUser(request);
+    if (data.deleted_at && !user) {
       return sendJSON({ error: 'not found' }, 404);
     }
 
-    const data = await resp.json().catch(() => null);
-    if (!data) {
-      return sendJSON({ error: 'bad data.json' }, 500);
+    // 隱藏或不在排程上架時間內的案件當作不存在，除非有登入或帶著分享 token
+    if (!isLive(data) && !user && !(await canViewHidden(request, slug))) {
+      return sendJSON({ error: 'not found' }, 404);
     }
 
-    // 直接把 data.json 裡的內容回傳
-    return sendJSON(data, 200);
+    // 登入的帳號拿原始 data.json（編輯要用原圖網址）
+    // 訪客（含分享 token）的照片換成簽名過的浮水印版，建立者的帳號也不給
+    if (user) return sendJSON(data, 200);
+    const { author: _author, ...rest } = data;
+    return sendJSON(publicPost(rest), 200);
   } catch (err) {
     return sendJSON(
       {
@@ -74,4 +53,4 @@ export default async (request) => {
       500
     );
   }
-};
+}, { methods: 'GET' });
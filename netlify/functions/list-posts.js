@@ -1,36 +1,15 @@
 // /.netlify/functions/list-posts.js
-import { v2 as cloudinary } from 'cloudinary';
-import crypto from 'crypto';
-
-// ---- Cloudinary 設定 ----
-cloudinary.config({
-  cloud_name: process.env.CLD_CLOUD_NAME,
-  api_key: process.env.CLD_API_KEY,
-  api_secret: process.env.CLD_API_SECRET,
-});
-
-// ---- CORS + 回傳工具 ----
-const CORS_HEADERS = {
-  'content-type': 'application/json',
-  'access-control-allow-origin': '*',
-  'access-control-allow-methods': 'GET,POST,OPTIONS',
-  'access-control-allow-headers': 'content-type,authorization'
-};
+import { getCatalog } from '../lib/catalog.js';
+import { retentionDays, purgeAfter } from '../lib/trash.js';
+import { requireUser } from '../lib/auth.js';
+import { isLive } from '../lib/publish.js';
+import { signedImageUrl, THUMB_SIZING } from '../lib/media.js';
+import { sendJSON, withCors } from '../lib/http.js';
 
-function sendJSON(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: CORS_HEADERS,
-  });
-}
-
-function preflight() {
-  return new Response(null, {
-    status: 204,
-    headers: CORS_HEADERS,
-  });
-}
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
 
+// ---- 回傳工具 ----
 function errorJSON(err, status = 500) {
   const msg =
     (err && (err.message || err.error?.message)) ||
@@ -40,61 +19,39 @@ function errorJSON(err, status = 500) {
   return sendJSON({ error: msg }, status);
 }
 
-// ---- JWT 驗證，跟 update-visible.js 同一套 HS256 ----
-function decodeB64Json(str) {
-  const pad = str.length % 4 === 2 ? '==' :
-              str.length % 4 === 3 ? '='  : '';
-  const s = str.replace(/-/g,'+').replace(/_/g,'/') + pad;
-  return JSON.parse(Buffer.from(s, 'base64').toString('utf8'));
+// ---- 篩選 / 排序 ----
+function dateOf(p) {
+  return new Date(p.date || p.created_at || 0).getTime() || 0;
 }
 
-function verifyJWT(token, secret) {
-  try {
-    const [h,p,s] = token.split('.');
-    if (!h || !p || !s) return null;
-
-    const header = decodeB64Json(h);
-    if (header.alg !== 'HS256') return null;
-
-    const expected = crypto
-      .createHmac('sha256', secret)
-      .update(`${h}.${p}`)
-      .digest('base64')
-      .replace(/=/g,'')
-      .replace(/\+/g,'-')
-      .replace(/\//g,'_');
-
-    if (expected !== s) return null;
-
-    const payload = decodeB64Json(p);
-    // exp 是秒
-    if (payload.exp && Date.now() >= payload.exp * 1000) return null;
+const SORTERS = {
+  date_desc: (a, b) => dateOf(b) - dateOf(a),
+  date_asc: (a, b) => dateOf(a) - dateOf(b),
+  title_asc: (a, b) => String(a.title || '').localeCompare(String(b.title || '')),
+  title_desc: (a, b) => String(b.title || '').localeCompare(String(a.title || '')),
+};
 
-    return payload;
-  } catch {
-    return null;
-  }
+function distinctValues(posts, field) {
+  return Array.from(new Set(posts.flatMap(p => p[field] || [])));
 }
 
-function requireAdmin(request) {
-  const authHeader = request.headers.get('authorization') || '';
-  const m = authHeader.match(/^Bearer\s+(.+)$/i);
-  if (!m) return null;
-
-  const secret = process.env.ADMIN_JWT_SECRET || '';
-  if (!secret) return null;
-
-  const payload = verifyJWT(m[1], secret);
-  if (!payload) return null;
-  if (payload.role !== 'admin') return null;
+// B1F < 1F < 2F < … < RF，其他照字排
+function floorRank(f) {
+  const m = /^(B?)(\d+)F$/i.exec(f);
+  if (m) return m[1] ? -Number(m[2]) : Number(m[2]);
+  return /^(RF|頂樓)$/i.test(f) ? 1000 : 2000;
+}
+function compareFloors(a, b) {
+  return floorRank(a) - floorRank(b) || a.localeCompare(b);
+}
 
-  return payload;
+function toInt(v, fallback) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
 // ---- 主 handler ----
-export default async (request) => {
-  // CORS 預檢
-  if (request.method === 'OPTIONS') return preflight();
+export default withCors(async (request) => {
   if (request.method !== 'GET') {
     return sendJSON({ error: 'Method not allowed' }, 405);
   }
@@ -105,143 +62,108 @@ export default async (request) => {
       return errorJSON('Missing Cloudinary env vars', 500);
     }
 
-    // 讀取 query 參數 showHidden=1 嗎？
+    // 讀取 query 參數
     const url = new URL(request.url);
     const wantShowHidden = url.searchParams.get('showHidden') === '1';
-
-    // 如果有要求 showHidden=1，就檢查是不是管理員
+    const wantTrash = url.searchParams.get('trash') === '1';
+    const q = (url.searchParams.get('q') || '').trim().toLowerCase();
+    const tag = (url.searchParams.get('tag') || '').trim().toLowerCase();
+    const serviceType = (url.searchParams.get('serviceType') || '').trim();
+    const floor = (url.searchParams.get('floor') || '').trim();
+    // author=me 或帳號：只看某個人建立的案件（登入才有用）
+    const authorParam = (url.searchParams.get('author') || '').trim().toLowerCase();
+    const sort = SORTERS[url.searchParams.get('sort')] ? url.searchParams.get('sort') : 'date_desc';
+    const pageSize = Math.min(MAX_PAGE_SIZE, toInt(url.searchParams.get('pageSize'), DEFAULT_PAGE_SIZE));
+
+    // 如果有要求 showHidden=1，就檢查有沒有登入
+    const user = await requireUser(request);
     let allowShowHidden = false;
-    if (wantShowHidden) {
-      const adminPayload = requireAdmin(request);
-      if (!adminPayload) {
+    if (wantShowHidden || wantTrash) {
+      if (!user) {
         return sendJSON({ error: 'Unauthorized' }, 401);
       }
-      allowShowHidden = true; // 有管理員 token，OK 顯示全部
+      allowShowHidden = true; // 有登入的 token（任何角色），OK 顯示全部
     }
+    const author = user && authorParam ? (authorParam === 'me' ? user.sub : authorParam) : '';
 
     // ----------------------------
-    // STEP 1: 把 collages/ 底下所有 raw 檔列出來（分頁抓完）
+    // STEP 1: 讀 catalog 索引（沒有的話會從各 data.json 重建一次）
     // ----------------------------
-    const rawResources = [];
-    let nextCursor;
-
-    do {
-      const res = await cloudinary.api.resources({
-        resource_type: 'raw',
-        type: 'upload',
-        prefix: 'collages/',
-        max_results: 100,
-        next_cursor: nextCursor,
-      });
-
-      rawResources.push(...(res.resources || []));
-      nextCursor = res.next_cursor || undefined;
-    } while (nextCursor);
+    const catalog = await getCatalog();
+    let items = catalog.posts.slice();
 
     // ----------------------------
-    // STEP 2: 找出每個 slug 目前應該用哪一個 data 檔
-    // - 同 slug 可能有 data.json / data
-    // - 我們偏好沒副檔名的 public_id (collages/<slug>/data)
-    // - 如果有多個版本，拿 version 最大的
-    // 結果放到 bySlug: slug -> { slug, public_id, version }
+    // STEP 2: 依照 visible / 排程 / q / tag / serviceType / floor 過濾
     // ----------------------------
-    const bySlug = new Map();
-
-    for (const r of rawResources) {
-      const pid = r.public_id || '';   // e.g. "collages/case-927128/data"
-      const ver = r.version;           // Cloudinary version number
-      const m = /^collages\/([^/]+)\/data(?:\.json)?$/i.exec(pid);
-      if (!m) continue;
-      const slug = m[1];
-
-      const current = bySlug.get(slug);
-      if (!current) {
-        bySlug.set(slug, { slug, public_id: pid, version: ver });
-      } else {
-        const currentHasJson = /\.json$/i.test(current.public_id);
-        const incomingHasJson = /\.json$/i.test(pid);
-        let replace = false;
-
-        // 規則 1: 如果現在的是 .json 但新的是沒 .json，換成沒 .json
-        if (currentHasJson && !incomingHasJson) {
-          replace = true;
-        // 規則 2: 否則比 version，version 較新就取代
-        } else if (ver > current.version) {
-          replace = true;
-        }
-
-        if (replace) {
-          bySlug.set(slug, { slug, public_id: pid, version: ver });
-        }
-      }
+    // 垃圾桶：trash=1 只列已刪除的（管理員），其他情況一律排除
+    if (wantTrash) {
+      items = items
+        .filter(it => it.deleted_at)
+        .map(it => ({ ...it, purge_after: purgeAfter(it.deleted_at) }));
+    } else {
+      items = items.filter(it => !it.deleted_at);
     }
-
-    // ----------------------------
-    // STEP 3: 平行抓每個 slug 的 data.json（用 versioned URL，避開舊快取）
-    // ----------------------------
-    const targets = Array.from(bySlug.values()); // [{slug, public_id, version}, ...]
-
-    const results = await Promise.all(
-      targets.map(async ({ slug, public_id, version }) => {
-        try {
-          const hasExt = /\.json$/i.test(public_id);
-          // 版本化 URL：v${version}，確保拿到最新 visible
-          const dataUrl = `https://res.cloudinary.com/${cloud}/raw/upload/v${version}/${encodeURIComponent(
-            public_id + (hasExt ? '' : '.json')
-          )}`;
-
-          const resp = await fetch(dataUrl);
-          if (!resp.ok) return null;
-
-          const data = await resp.json().catch(() => null);
-          if (!data) return null;
-
-          // 決定縮圖：preview -> cover -> items[0].url
-          const previewUrl =
-            data.preview ||
-            data.cover ||
-            (Array.isArray(data.items) && data.items[0]?.url) ||
-            null;
-
-          const item = {
-            slug,
-            title: data.title || data.titile || slug,
-            date: data.date || data.created_at,
-            created_at: data.created_at,
-            tags: data.tags || [],
-            items: Array.isArray(data.items) ? data.items : [],
-            visible: data.visible !== false, // 沒寫就當 true
-            preview: previewUrl,
-          };
-
-          return item;
-        } catch {
-          return null;
-        }
-      })
-    );
-
-    // ----------------------------
-    // STEP 4: 過濾掉抓失敗的，排序，然後依照 visible 決定要不要顯示
-    // ----------------------------
-    let items = results
-      .filter(Boolean)
-      .sort(
-        (a, b) =>
-          new Date(b.date || b.created_at || 0) -
-          new Date(a.date || a.created_at || 0)
-      );
-
-    // 如果不是管理員模式(showHidden=1 並且通過驗證)，就只回傳公開的
+    // 沒有 showHidden：只留對外看得到的（沒隱藏、也在排程上架的時間內）
     if (!allowShowHidden) {
-      items = items.filter(it => it.visible !== false);
+      const now = Date.now();
+      items = items.filter(it => isLive(it, now));
+    }
+
+    // 篩選選單的選項：目前看得到的案件裡出現過的清洗類別 / 樓層
+    const facets = {
+      serviceTypes: distinctValues(items, 'serviceTypes'),
+      floors: distinctValues(items, 'floors').sort(compareFloors),
+    };
+
+    if (q) {
+      items = items.filter(it => {
+        const title = String(it.title || it.slug || '').toLowerCase();
+        const tagsText = (it.tags || []).join(' ').toLowerCase();
+        return title.includes(q) || tagsText.includes(q);
+      });
+    }
+    if (tag) {
+      items = items.filter(it => (it.tags || []).some(t => String(t).toLowerCase() === tag));
+    }
+    if (serviceType) {
+      items = items.filter(it => (it.serviceTypes || []).includes(serviceType));
+    }
+    if (floor) {
+      items = items.filter(it => (it.floors || []).includes(floor));
+    }
+    if (author) {
+      items = items.filter(it => it.author === author);
+    }
+    // 建立者的帳號只給登入的人看
+    if (!user) {
+      items = items.map(({ author: _author, ...it }) => it);
     }
 
     // ----------------------------
-    // STEP 5: 回傳給前端
+    // STEP 3: 排序 + 分頁
     // ----------------------------
-    return sendJSON({ items });
+    items.sort(SORTERS[sort]);
+
+    const total = items.length;
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const page = Math.min(totalPages, toInt(url.searchParams.get('page'), 1));
+    const start = (page - 1) * pageSize;
+
+    // 列表只顯示縮圖：一律給簽名過的浮水印縮圖（索引裡的照片清單不回）
+    const pageItems = items
+      .slice(start, start + pageSize)
+      .map(({ images: _images, ...it }) => (it.preview ? { ...it, preview: signedImageUrl(it.preview, THUMB_SIZING) } : it));
+
+    return sendJSON({
+      items: pageItems,
+      total,
+      page,
+      pageSize,
+      totalPages,
+      facets,
+      ...(wantTrash ? { retentionDays: retentionDays() } : {}),
+    });
   } catch (e) {
     return errorJSON(e, 500);
   }
-};
+}, { methods: 'GET' });
@@ -0,0 +1,193 @@
+// /.netlify/functions/og-post.js
+// 分享出去的 post.html?slug=xxx：LINE / Facebook / Messenger 抓預覽時不會跑 JS，
+// 所以由這裡讀 data.json，把 og:title / og:description / og:image / canonical 先寫進 post.html 再回傳
+// - slug 不對、找不到、在垃圾桶、或是隱藏但沒有有效分享 token：原樣回傳靜態的 post.html
+// - 任何錯誤都退回靜態頁，不要讓分享頁整個打不開
+// 公開的案件另外寫 schema.org JSON-LD（ImageGallery + Service），讓圖片搜尋、在地搜尋看得懂
+// post.html 透過 netlify.toml 的 included_files 一起打包
+// 公開案件產生好的頁面讓 Netlify CDN 快取（durable，所有節點共用）五分鐘（CDN_CACHE，不用 stale-while-revalidate），不用每次瀏覽都讀 data.json；
+// 改了案件（含改成隱藏）最多晚這麼久才更新。快取 key 是完整網址，帶 token 的請求不會拿到別人的快取
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readPost } from '../lib/store.js';
+import { canViewHidden } from '../lib/auth.js';
+import { parseSlug } from '../lib/slug.js';
+import { isLive } from '../lib/publish.js';
+import { signedImageUrl } from '../lib/media.js';
+import { itemUrls, itemMeta, distinctMeta } from '../lib/items.js';
+
+const SITE_NAME = '自然大叔 清洗照片';
+const DEFAULT_DESC = '自然大叔 Natural Uncle 專業清淨職人：冷氣、水塔、洗衣機清洗實績照片。';
+const MAX_DESC = 150;
+const OG_IMAGE_TRANSFORM = 'c_fill,g_auto,w_1200,h_630,f_jpg,q_auto';
+const LD_IMAGE_TRANSFORM = 'f_jpg,q_auto,c_limit,w_1600';
+const LD_THUMB_TRANSFORM = 'f_jpg,q_auto,c_fill,w_400,h_400';
+const MAX_LD_IMAGES = 50;
+const CDN_CACHE = 'public, durable, max-age=300';
+
+let templatePromise = null;
+
+// included_files 會放在跟原本 repo 一樣的相對位置
+function loadTemplate() {
+  if (!templatePromise) {
+    templatePromise = readFile(path.resolve(process.cwd(), 'post.html'), 'utf8');
+    templatePromise.catch(() => { templatePromise = null; });
+  }
+  return templatePromise;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// cdnCache：給 Netlify CDN 的快取設定（Netlify-CDN-Cache-Control），瀏覽器還是每次重新驗證
+function sendHTML(html, { status = 200, cache = 'public, max-age=0, must-revalidate', cdnCache = null } = {}) {
+  return new Response(html, {
+    status,
+    headers: {
+      'content-type': 'text/html; charset=utf-8',
+      'cache-control': cache,
+      ...(cdnCache ? { 'netlify-cdn-cache-control': cdnCache } : {}),
+    },
+  });
+}
+
+function previewImage(data) {
+  const first = (Array.isArray(data.items) ? data.items : [])[0] || {};
+  const url = data.preview || data.cover || first.url || first.after || '';
+  // 分享出去的預覽圖也加浮水印
+  return url ? signedImageUrl(url, OG_IMAGE_TRANSFORM) : '';
+}
+
+function description(data) {
+  const text = String(data.desc || '').replace(/\s+/g, ' ').trim();
+  if (!text) return DEFAULT_DESC;
+  return text.length > MAX_DESC ? text.slice(0, MAX_DESC - 1) + '…' : text;
+}
+
+// 案件日期可能只有 YYYY-MM-DD，也可能是完整 ISO；解析不了回 undefined（JSON.stringify 會略過）
+function isoDate(v) {
+  if (!v) return undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// schema.org：整個案件是一組 ImageGallery，做的清洗項目是 Service
+// 「案件/地點」欄位（title）通常就是地點，所以也當 contentLocation
+function structuredData(data, { title, desc, url }) {
+  const items = Array.isArray(data.items) ? data.items : [];
+  const provider = { '@type': 'LocalBusiness', name: SITE_NAME, url: new URL('/gallery.html', url).href };
+  if (process.env.SERVICE_AREA) provider.areaServed = process.env.SERVICE_AREA;
+
+  const serviceTypes = distinctMeta(items, 'serviceType');
+  const images = items.flatMap(it => {
+    const meta = itemMeta(it);
+    const caption = it.caption || [meta.floor, meta.place, meta.serviceType].filter(Boolean).join('-');
+    return itemUrls(it).map(src => ({
+      '@type': 'ImageObject',
+      contentUrl: signedImageUrl(src, LD_IMAGE_TRANSFORM),
+      thumbnailUrl: signedImageUrl(src, LD_THUMB_TRANSFORM),
+      ...(caption ? { caption } : {}),
+    }));
+  });
+
+  const ld = {
+    '@context': 'https://schema.org',
+    '@type': 'ImageGallery',
+    name: title,
+    description: desc,
+    url,
+    datePublished: isoDate(data.publish_at || data.date || data.created_at),
+    dateModified: isoDate(data.updated_at || data.created_at),
+    contentLocation: { '@type': 'Place', name: title },
+    keywords: Array.isArray(data.tags) && data.tags.length ? data.tags.join(', ') : undefined,
+    image: images.slice(0, MAX_LD_IMAGES),
+    about: (serviceTypes.length ? serviceTypes : [null]).map(type => ({
+      '@type': 'Service',
+      ...(type ? { serviceType: type } : { name: title }),
+      provider,
+    })),
+  };
+  // </script> 不能出現在內容裡
+  return `<script type="application/ld+json">${JSON.stringify(ld).replace(/</g, '\\u003c')}</script>`;
+}
+
+function ogTags({ title, desc, image, url, noindex, jsonLd }) {
+  const tags = [
+    `<link rel="canonical" href="${escapeHtml(url)}"/>`,
+    `<meta name="description" content="${escapeHtml(desc)}"/>`,
+    `<meta property="og:type" content="article"/>`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}"/>`,
+    `<meta property="og:title" content="${escapeHtml(title)}"/>`,
+    `<meta property="og:description" content="${escapeHtml(desc)}"/>`,
+    `<meta property="og:url" content="${escapeHtml(url)}"/>`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}"/>`,
+  ];
+  if (image) {
+    tags.push(
+      `<meta property="og:image" content="${escapeHtml(image)}"/>`,
+      `<meta property="og:image:width" content="1200"/>`,
+      `<meta property="og:image:height" content="630"/>`
+    );
+  }
+  if (noindex) tags.push(`<meta name="robots" content="noindex"/>`);
+  if (jsonLd) tags.push(jsonLd);
+  return tags.join('\n');
+}
+
+function injectMeta(html, meta) {
+  const pageTitle = `<title>${escapeHtml(meta.title + '｜' + SITE_NAME)}</title>`;
+  const withTitle = /<title>[\s\S]*?<\/title>/i.test(html)
+    ? html.replace(/<title>[\s\S]*?<\/title>/i, pageTitle)
+    : html.replace(/<\/head>/i, pageTitle + '\n</head>');
+  return withTitle.replace(/<\/head>/i, ogTags(meta) + '\n</head>');
+}
+
+export default async (request) => {
+  let html;
+  try {
+    html = await loadTemplate();
+  } catch (err) {
+    try { console.error('[og-post] cannot read post.html:', err); } catch {}
+    return new Response('post.html not found', { status: 500 });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const slug = parseSlug(url.searchParams.get('slug'));
+    if (!slug) return sendHTML(html);
+
+    const data = await readPost(slug);
+    if (!data || data.deleted_at) return sendHTML(html);
+
+    const hidden = !isLive(data);
+    if (hidden && !(await canViewHidden(request, slug))) return sendHTML(html);
+
+    // canonical 不帶 token，隱藏案件的私密連結不要被收錄
+    const canonical = new URL('/post.html', url.origin);
+    canonical.searchParams.set('slug', slug);
+
+    const meta = {
+      title: data.title || slug,
+      desc: description(data),
+      image: previewImage(data),
+      url: canonical.href,
+      noindex: hidden,
+    };
+    // 不公開的（分享 token 看到的）不要給搜尋引擎結構化資料
+    if (!hidden) meta.jsonLd = structuredData(data, meta);
+    const page = injectMeta(html, meta);
+    // 帶分享 token 看到的隱藏案件不要被 CDN 快取給別人
+    if (hidden) return sendHTML(page, { cache: 'private, no-store' });
+    return sendHTML(page, { cdnCache: CDN_CACHE });
+  } catch (err) {
+    try { console.error('[og-post] error:', err); } catch {}
+    return sendHTML(html);
+  }
+};
+
+export const config = { path: '/post.html' };
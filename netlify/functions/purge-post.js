@@ -0,0 +1,64 @@
+// /.netlify/functions/purge-post.js
+// 永久刪除垃圾桶裡的案件（原本 delete-post 的硬刪除）
+import { readPost } from '../lib/store.js';
+import { purgePost } from '../lib/trash.js';
+import { slugFromBody } from '../lib/slug.js';
+import { requireUser, hasRole } from '../lib/auth.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+  // 永久刪除只有 owner 可以
+  if (!hasRole(user, 'owner')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  // parse body
+  let body = null;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const { slug, error: slugError } = slugFromBody(body);
+  if (!slug) {
+    return sendJSON({ error: slugError }, 400);
+  }
+
+  try {
+    // 只能永久刪除已經在垃圾桶裡的案件，避免一個按鈕就跳過垃圾桶
+    const data = await readPost(slug);
+    if (!data) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+    if (!data.deleted_at) {
+      return sendJSON({ error: 'post is not in trash' }, 409);
+    }
+
+    // 刪掉這個 slug 底下的圖片、raw 檔（data.json）與資料夾
+    await purgePost(slug);
+    await recordAudit(request, user, { action: 'purge-post', slug, before: data, after: null });
+
+    return sendJSON({ ok: true, slug });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'POST' });
@@ -0,0 +1,27 @@
+// /.netlify/functions/purge-trash.js
+// 排程：每天把垃圾桶裡超過保留天數（TRASH_RETENTION_DAYS，預設 30 天）的案件永久刪除
+import { purgeExpired, retentionDays } from '../lib/trash.js';
+import { recordAudit } from '../lib/audit.js';
+
+export default async () => {
+  try {
+    const { purged, failed } = await purgeExpired();
+    for (const slug of purged) {
+      await recordAudit(null, 'system', {
+        action: 'purge-trash',
+        slug,
+        details: { summary: `垃圾桶超過 ${retentionDays()} 天自動永久刪除` },
+      });
+    }
+    // 成功的都記在操作紀錄裡了，失敗的留 log，下次排程會再試
+    if (failed.length) {
+      try { console.error('[purge-trash] failed:', failed); } catch {}
+    }
+  } catch (err) {
+    try { console.error('[purge-trash] error:', err); } catch {}
+  }
+};
+
+export const config = {
+  schedule: '@daily',
+};
@@ -0,0 +1,44 @@
+// /.netlify/functions/rebuild-catalog.js
+// 管理員用：從每個 collages/<slug>/data 重新產生總覽索引（索引壞掉或手動改過 Cloudinary 時用）
+// 順便把改成 private 之前存的案件資料、歷史版本、系統檔搬過去（store.js migratePrivateFiles），一次搬不完回 remaining，再按一次
+import { requireUser, hasRole } from '../lib/auth.js';
+import { rebuildCatalog } from '../lib/catalog.js';
+import { migratePrivateFiles } from '../lib/store.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const migrated = await migratePrivateFiles();
+    const catalog = await rebuildCatalog();
+    await recordAudit(request, user, {
+      action: 'rebuild-catalog',
+      details: { count: catalog.posts.length, migrated, summary: `${catalog.posts.length} 筆` },
+    });
+    return sendJSON({ ok: true, count: catalog.posts.length, updated_at: catalog.updated_at, migrated });
+  } catch (err) {
+    try { console.error('[rebuild-catalog] error:', err); } catch {}
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'POST' });
@@ -0,0 +1,324 @@
+// /.netlify/functions/report.js
+// 案件的 PDF 服務報告（給客人交給房東 / 公司當清洗紀錄）
+// GET ?slug=xxx[&token=...]
+// - 第一頁：logo、標題、服務日期、標籤、說明
+// - 照片兩張一列，下面是樓層 / 位置 / 清洗類別；前後對比的同一列左右並排
+// - 每頁頁尾有頁碼
+// 權限跟 zip-images 一樣：隱藏的要管理員或分享 token，垃圾桶裡的只有管理員
+// - 中文字型用 npm 套件裡的 Noto Sans TC（netlify.toml 的 included_files 一起打包），只嵌入用到的字
+// - 回應有大小上限（約 6MB），照片先縮小，logo＋照片加起來超過 PDF_BUDGET 的就不放，改畫提示框
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { PDFDocument, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { readPost } from '../lib/store.js';
+import { canViewHidden, requireUser } from '../lib/auth.js';
+import { parseSlug } from '../lib/slug.js';
+import { isLive } from '../lib/publish.js';
+import { normalizeTags } from '../lib/tags.js';
+import { itemMeta } from '../lib/items.js';
+import { signedImageUrl } from '../lib/media.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { COMPANY, PHONE } from '../../assets/site-config.js';
+
+const FONT_FILE = 'node_modules/@expo-google-fonts/noto-sans-tc/400Regular/NotoSansTC_400Regular.ttf';
+
+// A4（pt）
+const PAGE_W = 595.28;
+const PAGE_H = 841.89;
+const MARGIN = 40;
+const GAP = 12;
+const FOOTER_H = 24;
+// 報告用的照片：轉成 JPG、限制大小（pdf-lib 只吃 JPG / PNG），一樣加浮水印；照片多的案件再縮小一點
+const PHOTO_TRANSFORM = 'f_jpg,q_75,c_limit,w_900,h_900';
+const PHOTO_TRANSFORM_SMALL = 'f_jpg,q_65,c_limit,w_640,h_640';
+const MANY_PHOTOS = 16;
+// logo＋照片加起來的上限（bytes）；Netlify function 回應最多 6MB，base64 編碼後約 5.3MB，再留一點給字型、文字
+const PDF_BUDGET = 4 * 1024 * 1024;
+const CONCURRENCY = 4;
+const FETCH_TIMEOUT_MS = 20000;
+
+const COLOR_TEXT = rgb(0.07, 0.09, 0.15);
+const COLOR_MUTED = rgb(0.4, 0.45, 0.52);
+const COLOR_LINE = rgb(0.85, 0.87, 0.9);
+const COLOR_BOX = rgb(0.95, 0.96, 0.97);
+
+let fontPromise = null;
+
+// 字型檔很大，同一個 instance 只讀一次
+function loadFontBytes() {
+  if (!fontPromise) {
+    fontPromise = readFile(path.resolve(process.cwd(), FONT_FILE));
+    fontPromise.catch(() => { fontPromise = null; });
+  }
+  return fontPromise;
+}
+
+// logo.png 透過 netlify.toml 的 included_files 一起打包；讀不到就不放 logo
+async function loadLogoBytes() {
+  try {
+    return await readFile(path.resolve(process.cwd(), 'logo.png'));
+  } catch {
+    return null;
+  }
+}
+
+async function fetchImage(url, transform) {
+  const resp = await fetch(signedImageUrl(url, transform), { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return new Uint8Array(await resp.arrayBuffer());
+}
+
+// 限制同時抓的數量，抓不到的回 null（報告裡畫一個「照片無法載入」的框）
+// 照順序累加大小，超過 budget 之後的回 'omitted'（畫「照片太多」的提示）
+async function fetchImages(urls, budget) {
+  const transform = urls.length > MANY_PHOTOS ? PHOTO_TRANSFORM_SMALL : PHOTO_TRANSFORM;
+  const out = new Array(urls.length).fill(null);
+  let next = 0;
+  async function worker() {
+    while (next < urls.length) {
+      const i = next++;
+      try {
+        out[i] = await fetchImage(urls[i], transform);
+      } catch (err) {
+        try { console.warn('[report] skip image', urls[i], err?.message || err); } catch {}
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, urls.length) }, worker));
+
+  let total = 0;
+  return out.map((bytes) => {
+    if (!bytes) return null;
+    total += bytes.length;
+    return total > budget ? 'omitted' : bytes;
+  });
+}
+
+async function embedImage(pdf, bytes) {
+  if (!bytes) return null;
+  try {
+    if (bytes[0] === 0x89 && bytes[1] === 0x50) return await pdf.embedPng(bytes);
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return await pdf.embedJpg(bytes);
+  } catch {}
+  return null;
+}
+
+// 依寬度斷行（中文逐字斷，英數字盡量整個字）
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const para of String(text || '').split(/\r?\n/)) {
+    const tokens = para.match(/[A-Za-z0-9@._\-/:]+|\s+|./gu) || [''];
+    let line = '';
+    for (const tok of tokens) {
+      const candidate = line + tok;
+      if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(line.trimEnd());
+        line = tok.trimStart();
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function captionOf(it) {
+  const meta = itemMeta(it);
+  const parts = [meta.floor, meta.place, meta.serviceType].filter(Boolean);
+  return parts.length ? parts.join(' · ') : String(it.caption || '').trim();
+}
+
+// 每一列：一般照片兩張一列；前後對比自己一列（清洗前｜清洗後）
+function buildRows(items) {
+  const rows = [];
+  let pending = null;
+  items.forEach((it, i) => {
+    const no = i + 1;
+    if (it.before && it.after) {
+      if (pending) { rows.push([pending]); pending = null; }
+      const caption = captionOf(it);
+      rows.push([
+        { url: it.before, caption, label: `#${no} 清洗前` },
+        { url: it.after, caption, label: `#${no} 清洗後` },
+      ]);
+      return;
+    }
+    const url = it.url || it.after || it.before;
+    if (!url) return;
+    const cell = { url, caption: captionOf(it), label: `#${no}` };
+    if (pending) { rows.push([pending, cell]); pending = null; }
+    else pending = cell;
+  });
+  if (pending) rows.push([pending]);
+  return rows;
+}
+
+async function buildReport(slug, data) {
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const [fontBytes, logoBytes] = await Promise.all([loadFontBytes(), loadLogoBytes()]);
+  const font = await pdf.embedFont(fontBytes, { subset: true });
+  const logo = await embedImage(pdf, logoBytes);
+
+  const title = data.title || slug;
+  pdf.setTitle(`${title}｜服務報告`);
+  pdf.setAuthor(COMPANY);
+  pdf.setCreationDate(new Date());
+
+  const contentW = PAGE_W - MARGIN * 2;
+  let page = pdf.addPage([PAGE_W, PAGE_H]);
+  let y = PAGE_H - MARGIN;
+
+  const text = (s, x, yy, size, color = COLOR_TEXT) => page.drawText(s, { x, y: yy, size, font, color });
+  const newPage = () => {
+    page = pdf.addPage([PAGE_W, PAGE_H]);
+    y = PAGE_H - MARGIN;
+  };
+  const ensure = (h) => {
+    if (y - h < MARGIN + FOOTER_H) newPage();
+  };
+
+  // 表頭：logo＋報告名稱
+  const headerH = 40;
+  if (logo) {
+    const scale = headerH / logo.height;
+    page.drawImage(logo, { x: MARGIN, y: y - headerH, width: logo.width * scale, height: headerH });
+  }
+  const heading = '清洗服務報告';
+  text(heading, PAGE_W - MARGIN - font.widthOfTextAtSize(heading, 16), y - 26, 16);
+  y -= headerH + 10;
+  page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_W - MARGIN, y }, thickness: 1, color: COLOR_LINE });
+  y -= 28;
+
+  for (const line of wrapText(title, font, 20, contentW)) {
+    ensure(26);
+    text(line, MARGIN, y, 20);
+    y -= 26;
+  }
+
+  const date = data.date ? new Date(data.date) : null;
+  const fields = [
+    ['服務日期', date && !isNaN(date) ? date.toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' }) : '—'],
+    ['案件編號', slug],
+    ['標籤', normalizeTags(data.tags).join('、') || '—'],
+  ];
+  for (const [label, value] of fields) {
+    ensure(18);
+    text(label, MARGIN, y, 11, COLOR_MUTED);
+    text(String(value), MARGIN + 64, y, 11);
+    y -= 18;
+  }
+
+  const desc = String(data.desc || '').trim();
+  if (desc) {
+    y -= 8;
+    ensure(20);
+    text('案件說明', MARGIN, y, 12);
+    y -= 18;
+    for (const line of wrapText(desc, font, 11, contentW)) {
+      ensure(16);
+      text(line, MARGIN, y, 11);
+      y -= 16;
+    }
+  }
+  y -= 12;
+
+  // 照片
+  const rows = buildRows(Array.isArray(data.items) ? data.items : []);
+  const cells = rows.flat();
+  const images = await fetchImages(cells.map(c => c.url), PDF_BUDGET - (logoBytes?.length || 0));
+  const embedded = await Promise.all(images.map(b => (b === 'omitted' ? null : embedImage(pdf, b))));
+  cells.forEach((c, i) => {
+    c.image = embedded[i];
+    c.omitted = images[i] === 'omitted';
+  });
+
+  const cellW = (contentW - GAP) / 2;
+  const boxH = cellW * 0.75;
+  const rowH = boxH + 36;
+
+  if (rows.length) {
+    ensure(20 + rowH);
+    text(`施工照片（${cells.length} 張）`, MARGIN, y, 12);
+    y -= 20;
+  }
+
+  for (const row of rows) {
+    ensure(rowH);
+    row.forEach((c, col) => {
+      const x = MARGIN + col * (cellW + GAP);
+      const top = y;
+      page.drawRectangle({ x, y: top - boxH, width: cellW, height: boxH, color: COLOR_BOX });
+      if (c.image) {
+        const scale = Math.min(cellW / c.image.width, boxH / c.image.height);
+        const w = c.image.width * scale;
+        const h = c.image.height * scale;
+        page.drawImage(c.image, { x: x + (cellW - w) / 2, y: top - boxH + (boxH - h) / 2, width: w, height: h });
+      } else {
+        const msg = c.omitted ? '照片太多，請到網站上查看' : '照片無法載入';
+        text(msg, x + (cellW - font.widthOfTextAtSize(msg, 10)) / 2, top - boxH / 2, 10, COLOR_MUTED);
+      }
+      text(c.label, x, top - boxH - 14, 9, COLOR_MUTED);
+      const cap = wrapText(c.caption, font, 10, cellW)[0] || '';
+      if (cap) text(cap, x, top - boxH - 28, 10);
+    });
+    y -= rowH;
+  }
+
+  // 頁尾：公司、電話、頁碼（全部畫完才知道總頁數）
+  const pages = pdf.getPages();
+  pages.forEach((p, i) => {
+    const footer = `${COMPANY}　${PHONE}`;
+    const num = `第 ${i + 1} / ${pages.length} 頁`;
+    p.drawLine({ start: { x: MARGIN, y: MARGIN + 12 }, end: { x: PAGE_W - MARGIN, y: MARGIN + 12 }, thickness: 0.5, color: COLOR_LINE });
+    p.drawText(footer, { x: MARGIN, y: MARGIN, size: 8, font, color: COLOR_MUTED });
+    p.drawText(num, { x: PAGE_W - MARGIN - font.widthOfTextAtSize(num, 8), y: MARGIN, size: 8, font, color: COLOR_MUTED });
+  });
+
+  return pdf.save();
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  const url = new URL(request.url);
+  const rawSlug = url.searchParams.get('slug');
+  const slug = parseSlug(rawSlug);
+  if (!slug) {
+    return sendJSON({ error: rawSlug ? 'invalid slug' : 'slug required' }, 400);
+  }
+
+  try {
+    const data = await readPost(slug);
+    if (!data) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+    // 跟 get-post 一樣：垃圾桶只給管理員，隱藏（含排程時間外）的要管理員或分享 token
+    if (data.deleted_at && !(await requireUser(request))) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+    if (!isLive(data) && !(await canViewHidden(request, slug))) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+
+    const bytes = await buildReport(slug, data);
+
+    const name = `${data.title || slug}-服務報告.pdf`;
+    const asciiFallback = `${slug}-report.pdf`;
+    return new Response(bytes, {
+      status: 200,
+      headers: {
+        'content-type': 'application/pdf',
+        'content-disposition': `attachment; filename="${asciiFallback}"; filename*=UTF-8''${encodeURIComponent(name)}`,
+        'cache-control': 'no-store',
+      },
+    });
+  } catch (err) {
+    try { console.error('[report] error:', err); } catch {}
+    return sendJSON({ error: err?.message || String(err) }, 500);
+  }
+}, { methods: 'GET' });
@@ -0,0 +1,63 @@
+// /.netlify/functions/restore-post.js
+// 把垃圾桶裡的案件還原
+import { restoreFromTrash } from '../lib/trash.js';
+import { requireUser, hasRole, canEditPost, actorName } from '../lib/auth.js';
+import { slugFromBody } from '../lib/slug.js';
+import { readPost } from '../lib/store.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  // parse body
+  let body = null;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const { slug, error: slugError } = slugFromBody(body);
+  if (!slug) {
+    return sendJSON({ error: slugError }, 400);
+  }
+
+  // 權限：owner 全部，editor 只能動自己建立的案件
+  if (!hasRole(user, 'editor')) {
+    return sendJSON({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    // 先讀一次：editor 要確認是自己建立的，讀到的舊資料也給操作紀錄用
+    const current = await readPost(slug);
+    if (current && !canEditPost(user, current)) {
+      return sendJSON({ error: 'Forbidden' }, 403);
+    }
+    const data = await restoreFromTrash(slug, actorName(user));
+    if (!data) {
+      return sendJSON({ error: 'data.json not found for slug ' + slug }, 404);
+    }
+    await recordAudit(request, user, { action: 'restore-post', slug, before: current, after: data });
+
+    return sendJSON({ ok: true, slug, visible: data.visible !== false });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'POST' });
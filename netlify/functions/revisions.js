@@ -0,0 +1,72 @@
+// /.netlify/functions/revisions.js
+// 管理員用：看某個案件的歷史版本
+// - ?slug=xxx                      列出所有版本（新到舊）
+// - ?slug=xxx&id=<id>              讀某一個版本的完整內容
+// - ?slug=xxx&a=<id>&b=<id|current> 逐欄位比較兩個版本（b 預設 current = 目前的資料）
+import { requireUser } from '../lib/auth.js';
+import { readPost } from '../lib/store.js';
+import { listRevisions, readRevision, diffData } from '../lib/revisions.js';
+import { parseSlug } from '../lib/slug.js';
+import { sendJSON, withCors } from '../lib/http.js';
+
+// 'current' 是目前的 data，其他當成 revision id
+async function loadVersion(slug, ref) {
+  if (ref === 'current') return readPost(slug);
+  const rev = await readRevision(slug, ref);
+  return rev ? rev.data : null;
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  const url = new URL(request.url);
+  const rawSlug = url.searchParams.get('slug');
+  const slug = parseSlug(rawSlug);
+  if (!slug) {
+    return sendJSON({ error: rawSlug ? 'invalid slug' : 'slug required' }, 400);
+  }
+
+  const id = url.searchParams.get('id');
+  const a = url.searchParams.get('a');
+  const b = url.searchParams.get('b') || 'current';
+
+  try {
+    // 比較兩個版本
+    if (a) {
+      const [before, after] = await Promise.all([loadVersion(slug, a), loadVersion(slug, b)]);
+      if (!before || !after) {
+        return sendJSON({ error: 'revision not found' }, 404);
+      }
+      return sendJSON({ slug, a, b, changes: diffData(before, after) });
+    }
+
+    // 單一版本
+    if (id) {
+      const rev = await readRevision(slug, id);
+      if (!rev) {
+        return sendJSON({ error: 'revision not found' }, 404);
+      }
+      return sendJSON({ slug, id, ...rev });
+    }
+
+    return sendJSON({ slug, revisions: await listRevisions(slug) });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'GET' });
@@ -0,0 +1,79 @@
+// /.netlify/functions/rollback-post.js
+// 管理員用：把案件還原成某一個歷史版本（還原前的內容也會留成一個版本，所以還原本身也能再還原）
+import { requireUser, canEditPost, actorName } from '../lib/auth.js';
+import { readPost } from '../lib/store.js';
+import { savePost, readRevision } from '../lib/revisions.js';
+import { upsertCatalogEntry, syncCatalog } from '../lib/catalog.js';
+import { slugFromBody } from '../lib/slug.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const { slug, error: slugError } = slugFromBody(body);
+  if (!slug) {
+    return sendJSON({ error: slugError }, 400);
+  }
+  if (!body?.id) {
+    return sendJSON({ error: 'id required' }, 400);
+  }
+
+  try {
+    const previous = await readPost(slug);
+    if (!previous) {
+      return sendJSON({ error: 'data.json not found for slug ' + slug }, 404);
+    }
+    if (!canEditPost(user, previous)) {
+      return sendJSON({ error: 'Forbidden' }, 403);
+    }
+
+    const rev = await readRevision(slug, body.id);
+    if (!rev || !rev.data) {
+      return sendJSON({ error: 'revision not found' }, 404);
+    }
+
+    // 垃圾桶狀態、建立者不算內容，維持目前的狀態
+    const { deleted_at, ...data } = rev.data;
+    if (previous.deleted_at) data.deleted_at = previous.deleted_at;
+    if (previous.author) data.author = previous.author;
+    data.updated_at = new Date().toISOString();
+
+    await savePost(slug, data, { action: 'rollback-post', actor: actorName(user), previous });
+    await syncCatalog(() => upsertCatalogEntry(slug, data), 'rollback-post');
+    await recordAudit(request, user, {
+      action: 'rollback-post',
+      slug,
+      before: previous,
+      after: data,
+      details: { revision: body.id },
+    });
+
+    return sendJSON({ ok: true, slug, id: body.id });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'POST' });
@@ -0,0 +1,80 @@
+// /.netlify/functions/share-link.js
+// 管理員替某個案件產生會過期的私密分享 token（隱藏的案件也能單獨給客人看）
+// owner 任何案件都可以，editor 只能分享自己建立的
+import { requireUser, canEditPost, signShareToken } from '../lib/auth.js';
+import { slugFromBody } from '../lib/slug.js';
+import { readPost } from '../lib/store.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 檢查權限
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const { slug, error: slugError } = slugFromBody(body);
+  if (!slug) {
+    return sendJSON({ error: slugError }, 400);
+  }
+
+  // 有效天數：預設 7 天，最多 90 天
+  const days = Math.min(MAX_DAYS, Math.max(1, Number(body?.days) || DEFAULT_DAYS));
+
+  try {
+    // 確認案件存在，避免發出指向空 slug 的連結（讀最新版，剛丟進垃圾桶的也要擋）
+    const data = await readPost(slug);
+    if (!data) {
+      return sendJSON({ error: 'not found' }, 404);
+    }
+    if (!canEditPost(user, data)) {
+      return sendJSON({ error: 'Forbidden' }, 403);
+    }
+    if (data.deleted_at) {
+      return sendJSON({ error: 'post is in trash' }, 409);
+    }
+
+    const expiresIn = days * 24 * 60 * 60;
+    const token = signShareToken(slug, expiresIn);
+    const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+    // 發出去的連結收不回來，至少留紀錄知道誰、什麼時候發給了哪個案件
+    await recordAudit(request, user, {
+      action: 'share-link',
+      slug,
+      details: { days, expires_at: expiresAt, summary: `${days} 天分享連結` },
+    });
+
+    return sendJSON({
+      ok: true,
+      slug,
+      token,
+      expires_at: expiresAt,
+      path: `/post.html?slug=${encodeURIComponent(slug)}&token=${encodeURIComponent(token)}`,
+    });
+  } catch (err) {
+    return sendJSON(
+      {
+        error:
+          (err && (err.message || err.error?.message)) ||
+          String(err) ||
+          'Unknown error',
+      },
+      500
+    );
+  }
+}, { methods: 'POST' });
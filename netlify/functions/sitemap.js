@@ -0,0 +1,98 @@
+// /.netlify/functions/sitemap.js
+// /sitemap.xml：gallery.html 跟每個公開案件的 post.html?slug=，附上每張照片（image sitemap）
+// - 只收對外看得到的案件（沒隱藏、不在垃圾桶、在排程上架時間內）
+// - 照片網址用索引（catalog）裡的 images，不用逐一讀 data.json；結果快取一小時
+// - 照片一律給加了浮水印的版本，跟頁面上顯示的一樣
+// /robots.txt 也由這裡回，Sitemap: 要寫完整網址，網域跟著部署走
+import { getCatalog } from '../lib/catalog.js';
+import { isLive } from '../lib/publish.js';
+import { signedImageUrl } from '../lib/media.js';
+
+// Google 的上限：一個網址最多 1000 張圖
+const MAX_IMAGES_PER_URL = 1000;
+const IMAGE_TRANSFORM = 'f_jpg,q_auto,c_limit,w_1600';
+const CACHE_CONTROL = 'public, max-age=3600, stale-while-revalidate=86400';
+
+function escapeXml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 只有日期（YYYY-MM-DD）或完整時間都可以；解析不了就不寫 lastmod
+function lastmod(p) {
+  const t = new Date(p.updated_at || p.created_at || p.date || '');
+  return Number.isNaN(t.getTime()) ? null : t.toISOString();
+}
+
+function urlEntry(loc, { lastmod: mod, images = [] } = {}) {
+  const lines = ['  <url>', `    <loc>${escapeXml(loc)}</loc>`];
+  if (mod) lines.push(`    <lastmod>${mod}</lastmod>`);
+  for (const src of images.slice(0, MAX_IMAGES_PER_URL)) {
+    lines.push(
+      '    <image:image>',
+      `      <image:loc>${escapeXml(signedImageUrl(src, IMAGE_TRANSFORM))}</image:loc>`,
+      '    </image:image>'
+    );
+  }
+  lines.push('  </url>');
+  return lines.join('\n');
+}
+
+export default async (request) => {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  const url = new URL(request.url);
+  const origin = url.origin;
+  if (url.pathname === '/robots.txt') {
+    return new Response(`User-agent: *\nAllow: /\n\nSitemap: ${origin}/sitemap.xml\n`, {
+      status: 200,
+      headers: { 'content-type': 'text/plain; charset=utf-8', 'cache-control': CACHE_CONTROL },
+    });
+  }
+
+  try {
+    const catalog = await getCatalog();
+    const now = Date.now();
+    const posts = catalog.posts.filter(p => !p.deleted_at && isLive(p, now));
+
+    const entries = [urlEntry(new URL('/gallery.html', origin).href, { lastmod: catalog.updated_at || null })];
+    for (const p of posts) {
+      const loc = new URL('/post.html', origin);
+      loc.searchParams.set('slug', p.slug);
+      entries.push(urlEntry(loc.href, {
+        lastmod: lastmod(p),
+        images: p.images?.length ? p.images : (p.preview ? [p.preview] : []),
+      }));
+    }
+
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+      ...entries,
+      '</urlset>',
+      '',
+    ].join('\n');
+
+    return new Response(request.method === 'HEAD' ? null : xml, {
+      status: 200,
+      headers: {
+        'content-type': 'application/xml; charset=utf-8',
+        'cache-control': CACHE_CONTROL,
+      },
+    });
+  } catch (err) {
+    try { console.error('[sitemap] error:', err); } catch {}
+    return new Response('sitemap unavailable', {
+      status: 500,
+      headers: { 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'no-store' },
+    });
+  }
+};
+
+export const config = { path: ['/sitemap.xml', '/robots.txt'] };
@@ -0,0 +1,157 @@
+// /.netlify/functions/tags.js
+// 標籤管理
+// - GET：每個標籤用了幾次 { tags: [{ tag, count }] }；公開的只算上架中（含排程時間內）的案件，管理員帶 showHidden=1 連隱藏的也算
+// - POST（管理員）：
+//   { op: 'migrate' }                  把所有舊資料的 tags 整理成正規化的陣列
+//   { op: 'rename', from, to }         改名
+//   { op: 'merge', from: [...], to }   多個標籤合併成一個
+//   改到的每個案件都會留歷史版本跟操作紀錄，回報每個 slug 的成功 / 失敗
+import { requireUser, hasRole, actorName } from '../lib/auth.js';
+import { readPost, fetchJSON, listPostResources } from '../lib/store.js';
+import { savePost } from '../lib/revisions.js';
+import { getCatalog, upsertCatalogEntries, syncCatalog } from '../lib/catalog.js';
+import { normalizeTag, normalizeTags, sameTag, countTags } from '../lib/tags.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { isLive } from '../lib/publish.js';
+import { recordAudit } from '../lib/audit.js';
+
+const CONCURRENCY = 5;
+
+function errorMessage(err) {
+  return (err && (err.message || err.error?.message)) || String(err) || 'Unknown error';
+}
+
+async function listTags(request) {
+  const url = new URL(request.url);
+  const showHidden = url.searchParams.get('showHidden') === '1';
+  if (showHidden && !(await requireUser(request))) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  const catalog = await getCatalog();
+  const now = Date.now();
+  const posts = catalog.posts.filter(p => !p.deleted_at && (showHidden || isLive(p, now)));
+  return sendJSON({ tags: countTags(posts) });
+}
+
+// 對一批 slug 套用 mapTags(oldTags) -> newTags，有變動的才存檔
+async function rewriteTags(slugs, mapTags, { action, request, user }) {
+  const actor = actorName(user);
+  const updated = [];
+
+  async function processOne(slug) {
+    try {
+      const previous = await readPost(slug);
+      if (!previous) return { slug, ok: false, error: 'not found' };
+
+      const tags = normalizeTags(mapTags(normalizeTags(previous.tags)));
+      // 連原本存的格式（字串 / 沒正規化的陣列）都一樣才算沒變
+      if (JSON.stringify(tags) === JSON.stringify(previous.tags)) {
+        return { slug, ok: true, changed: false };
+      }
+
+      const data = { ...previous, tags };
+      await savePost(slug, data, { action, actor, previous });
+      updated.push({ slug, data });
+      await recordAudit(request, user, { action, slug, before: previous, after: data });
+      return { slug, ok: true, changed: true };
+    } catch (err) {
+      return { slug, ok: false, error: errorMessage(err) };
+    }
+  }
+
+  const results = [];
+  for (let i = 0; i < slugs.length; i += CONCURRENCY) {
+    results.push(...(await Promise.all(slugs.slice(i, i + CONCURRENCY).map(processOne))));
+  }
+
+  await syncCatalog(() => upsertCatalogEntries(updated), 'tags');
+
+  const failed = results.filter(r => !r.ok).length;
+  return {
+    ok: failed === 0,
+    changed: updated.length,
+    failed,
+    results,
+  };
+}
+
+// migrate 要看原始存的格式，不能靠索引（索引裡已經是正規化過的），所以逐一讀 data
+async function slugsNeedingMigration() {
+  const targets = await listPostResources();
+  const slugs = [];
+  for (let i = 0; i < targets.length; i += CONCURRENCY) {
+    const batch = targets.slice(i, i + CONCURRENCY);
+    const flags = await Promise.all(
+      batch.map(async (t) => {
+        try {
+          const data = await fetchJSON(t);
+          return JSON.stringify(normalizeTags(data.tags)) !== JSON.stringify(data.tags);
+        } catch {
+          // 讀不到的也列進去，讓結果裡看得到失敗原因
+          return true;
+        }
+      })
+    );
+    batch.forEach((t, idx) => { if (flags[idx]) slugs.push(t.slug); });
+  }
+  return slugs;
+}
+
+export default withCors(async (request) => {
+  try {
+    if (request.method === 'GET') return await listTags(request);
+    if (request.method !== 'POST') {
+      return sendJSON({ error: 'Method not allowed' }, 405);
+    }
+
+    // 檢查權限
+    const user = await requireUser(request);
+    if (!user) {
+      return sendJSON({ error: 'Unauthorized' }, 401);
+    }
+    // 改名 / 合併會動到所有人的案件，只有 owner 可以
+    if (!hasRole(user, 'owner')) {
+      return sendJSON({ error: 'Forbidden' }, 403);
+    }
+
+    let body = null;
+    try {
+      body = await request.json();
+    } catch (_) {
+      return sendJSON({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const op = body?.op;
+
+    if (op === 'migrate') {
+      const slugs = await slugsNeedingMigration();
+      return sendJSON({ op, ...(await rewriteTags(slugs, tags => tags, { action: 'tags:migrate', request, user })) });
+    }
+
+    if (op === 'rename' || op === 'merge') {
+      const from = (Array.isArray(body.from) ? body.from : [body.from]).map(normalizeTag).filter(Boolean);
+      const to = normalizeTag(body.to);
+      if (!from.length || !to) {
+        return sendJSON({ error: 'from and to required' }, 400);
+      }
+
+      const isFrom = t => from.some(f => sameTag(f, t));
+      // 索引只用來找候選的 slug（包含垃圾桶裡的），實際內容還是讀 data 再改
+      const catalog = await getCatalog();
+      const slugs = catalog.posts.filter(p => (p.tags || []).some(isFrom)).map(p => p.slug);
+
+      const result = await rewriteTags(
+        slugs,
+        tags => tags.map(t => (isFrom(t) ? to : t)),
+        { action: `tags:${op}`, request, user }
+      );
+      return sendJSON({ op, from, to, ...result });
+    }
+
+    return sendJSON({ error: 'unknown op' }, 400);
+  } catch (err) {
+    try { console.error('[tags] error:', err); } catch {}
+    return sendJSON({ error: errorMessage(err) }, 500);
+  }
+}, { methods: 'GET,POST' });
@@ -0,0 +1,106 @@
+// /.netlify/functions/update-post.js
+import { readPost } from '../lib/store.js';
+import { savePost } from '../lib/revisions.js';
+import { normalizeTags } from '../lib/tags.js';
+import { cleanItems, itemUrls } from '../lib/items.js';
+import { requireUser, canEditPost, actorName } from '../lib/auth.js';
+import { upsertCatalogEntry, syncCatalog } from '../lib/catalog.js';
+import { slugFromBody } from '../lib/slug.js';
+import { applyPublishWindow } from '../lib/publish.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit } from '../lib/audit.js';
+
+function errorJSON(err, status = 500) {
+  const msg =
+    (err && (err.message || err.error?.message)) ||
+    String(err) ||
+    'Unknown error';
+  try { console.error('[update-post] error:', err); } catch {}
+  return sendJSON({ error: msg }, status);
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  // 權限檢查
+  const user = await requireUser(request);
+  if (!user) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  // 解析 body
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return sendJSON({ error: 'Invalid JSON body' }, 400);
+  }
+
+  const { slug, error: slugError } = slugFromBody(body);
+  if (!slug) {
+    return sendJSON({ error: slugError }, 400);
+  }
+
+  // items 有給的話就是「完整的新清單」：順序、說明、新增、移除都由它決定
+  let nextItems = null;
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) {
+      return sendJSON({ error: 'items must be an array' }, 400);
+    }
+    nextItems = cleanItems(body.items);
+    if (nextItems.length === 0) {
+      return sendJSON({ error: 'items required' }, 400);
+    }
+  }
+
+  try {
+    // 1. 讀目前 data.json（lib/store.js，選擇策略跟 update-visible.js 一樣）
+    const previous = await readPost(slug);
+    if (!previous) {
+      return sendJSON({ error: 'data.json not found for slug ' + slug }, 404);
+    }
+    if (!canEditPost(user, previous)) {
+      return sendJSON({ error: 'Forbidden' }, 403);
+    }
+    // 改在複本上，舊的那份要留成歷史版本
+    const data = structuredClone(previous);
+
+    // 2. 套用部分更新：只改有送來的欄位
+    if (typeof body.title === 'string') data.title = body.title.trim();
+    if (typeof body.date === 'string') data.date = body.date;
+    if (typeof body.desc === 'string') data.desc = body.desc.trim();
+    if (body.tags !== undefined) data.tags = normalizeTags(body.tags);
+    if (typeof body.visible === 'boolean') data.visible = body.visible;
+    // publish_at / unpublish_at：帶 null 或空字串就是取消排程
+    const publishError = applyPublishWindow(data, body);
+    if (publishError) {
+      return sendJSON({ error: publishError }, 400);
+    }
+
+    if (nextItems) {
+      const keep = new Set(nextItems.flatMap(itemUrls));
+      const prevItems = Array.isArray(data.items) ? data.items : [];
+
+      // 預覽圖原本就是第一張的話，跟著新的第一張走
+      const prevFirst = prevItems[0]?.url || prevItems[0]?.after || null;
+      if (!data.preview || data.preview === prevFirst || !keep.has(data.preview)) {
+        data.preview = nextItems[0].url || nextItems[0].after;
+      }
+      data.items = nextItems;
+    }
+
+    data.updated_at = new Date().toISOString();
+
+    // 3. 覆蓋上傳回 canonical public_id，並同步總覽索引
+    // 被移除的圖片先不刪：歷史版本還會用到，等用到它的版本都超過保留數被整理掉時才刪（lib/revisions.js pruneRevisions）
+    await savePost(slug, data, { action: 'update-post', actor: actorName(user), previous });
+    await syncCatalog(() => upsertCatalogEntry(slug, data), 'update-post');
+    await recordAudit(request, user, { action: 'update-post', slug, before: previous, after: data });
+
+    return sendJSON({ ok: true, slug });
+  } catch (err) {
+    return errorJSON(err, 500);
+  }
+}, { methods: 'POST' });
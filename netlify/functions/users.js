@@ -0,0 +1,178 @@
+// /.netlify/functions/users.js
+// 帳號管理（owner 專用）
+// GET  → { users: [{ username, name, role, disabled, created_at, updated_at }], roles }
+// POST { op: 'create', username, password, name?, role }
+//      { op: 'update', username, name?, role?, password?, disabled? }
+//      { op: 'delete', username }
+//      { op: 'password', current, password }  ← 任何登入的帳號改自己的密碼
+// 改角色或停用後，對方手上的 access token 最多再用 ADMIN_TOKEN_TTL，換新時就會拿到新角色或被登出
+import { requireUser, hasRole, ROLES } from '../lib/auth.js';
+import {
+  listUsers,
+  saveUsers,
+  normalizeUsername,
+  isRole,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  activeOwners,
+  MIN_PASSWORD_LENGTH,
+  BOOTSTRAP_SUB,
+} from '../lib/users.js';
+import { sendJSON, withCors } from '../lib/http.js';
+import { recordAudit, summarizeChange } from '../lib/audit.js';
+
+function errorMessage(err) {
+  return (err && (err.message || err.error?.message)) || String(err) || 'Unknown error';
+}
+
+function passwordError(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function cleanName(name, fallback) {
+  return String(name ?? '').trim().slice(0, 60) || fallback;
+}
+
+// 操作紀錄：只記 publicUser（不含密碼雜湊），密碼有改只記一個旗標
+function auditUser(request, me, action, username, before, after, passwordChanged = false) {
+  const b = before ? publicUser(before) : null;
+  const a = after ? publicUser(after) : null;
+  // 新增 / 刪除時摘要就是帳號本身，修改時才列出改了哪些欄位
+  const fields = b && a ? summarizeChange(b, a).map(c => c.field) : [];
+  if (passwordChanged) fields.push('password');
+  return recordAudit(request, me, {
+    action,
+    before: b,
+    after: a,
+    details: {
+      username,
+      ...(passwordChanged ? { password_changed: true } : {}),
+      summary: fields.length ? `${username}（${fields.join(', ')}）` : username,
+    },
+  });
+}
+
+async function createUser(request, me, users, body) {
+  const username = normalizeUsername(body.username);
+  if (!username) return sendJSON({ error: 'invalid username' }, 400);
+  if (username === BOOTSTRAP_SUB) return sendJSON({ error: `username ${BOOTSTRAP_SUB} is reserved` }, 400);
+  if (users.some(u => u.username === username)) return sendJSON({ error: 'username already exists' }, 409);
+  if (!isRole(body.role)) return sendJSON({ error: 'role must be one of ' + ROLES.join(', ') }, 400);
+  const bad = passwordError(body.password);
+  if (bad) return sendJSON({ error: bad }, 400);
+
+  const now = new Date().toISOString();
+  const user = {
+    username,
+    name: cleanName(body.name, username),
+    role: body.role,
+    password: await hashPassword(body.password),
+    disabled: false,
+    created_at: now,
+    updated_at: now,
+  };
+  const updated = [...users, user];
+  // 建好第一個帳號後 ADMIN_PASSWORD 就不能登入了，所以第一個一定要是 owner
+  if (!activeOwners(updated).length) return sendJSON({ error: 'the first account must be an owner' }, 409);
+  await saveUsers(updated);
+  await auditUser(request, me, 'users:create', username, null, user);
+  return sendJSON({ ok: true, user: publicUser(user) });
+}
+
+async function updateUser(request, me, users, body) {
+  const username = normalizeUsername(body.username);
+  const current = users.find(u => u.username === username);
+  if (!current) return sendJSON({ error: 'user not found' }, 404);
+
+  const next = { ...current };
+  if (body.name !== undefined) next.name = cleanName(body.name, username);
+  if (body.role !== undefined) {
+    if (!isRole(body.role)) return sendJSON({ error: 'role must be one of ' + ROLES.join(', ') }, 400);
+    next.role = body.role;
+  }
+  if (body.disabled !== undefined) next.disabled = !!body.disabled;
+  if (body.password !== undefined) {
+    const bad = passwordError(body.password);
+    if (bad) return sendJSON({ error: bad }, 400);
+    next.password = await hashPassword(body.password);
+  }
+  next.updated_at = new Date().toISOString();
+
+  const updated = users.map(u => (u.username === username ? next : u));
+  if (!activeOwners(updated).length) return sendJSON({ error: 'at least one active owner is required' }, 409);
+  await saveUsers(updated);
+  await auditUser(request, me, 'users:update', username, current, next, body.password !== undefined);
+  return sendJSON({ ok: true, user: publicUser(next) });
+}
+
+async function deleteUser(request, me, users, body) {
+  const username = normalizeUsername(body.username);
+  if (!users.some(u => u.username === username)) return sendJSON({ error: 'user not found' }, 404);
+  if (username === me.sub) return sendJSON({ error: 'cannot delete yourself' }, 409);
+
+  const removed = users.find(u => u.username === username);
+  const updated = users.filter(u => u.username !== username);
+  if (!activeOwners(updated).length) return sendJSON({ error: 'at least one active owner is required' }, 409);
+  await saveUsers(updated);
+  await auditUser(request, me, 'users:delete', username, removed, null);
+  return sendJSON({ ok: true, username });
+}
+
+async function changeOwnPassword(request, me, users, body) {
+  const current = users.find(u => u.username === me.sub);
+  if (!current) return sendJSON({ error: 'this login has no user account' }, 404);
+  if (!(await verifyPassword(body.current, current.password))) {
+    return sendJSON({ error: 'current password is incorrect' }, 403);
+  }
+  const bad = passwordError(body.password);
+  if (bad) return sendJSON({ error: bad }, 400);
+
+  const next = { ...current, password: await hashPassword(body.password), updated_at: new Date().toISOString() };
+  await saveUsers(users.map(u => (u.username === me.sub ? next : u)));
+  await auditUser(request, me, 'users:password', me.sub, current, next, true);
+  return sendJSON({ ok: true });
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return sendJSON({ error: 'Method not allowed' }, 405);
+  }
+
+  const me = await requireUser(request);
+  if (!me) {
+    return sendJSON({ error: 'Unauthorized' }, 401);
+  }
+
+  try {
+    const users = await listUsers();
+
+    if (request.method === 'GET') {
+      if (!hasRole(me, 'owner')) return sendJSON({ error: 'Forbidden' }, 403);
+      return sendJSON({ users: users.map(publicUser), roles: ROLES });
+    }
+
+    let body = null;
+    try {
+      body = await request.json();
+    } catch (_) {
+      return sendJSON({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const op = body?.op;
+    if (op === 'password') return await changeOwnPassword(request, me, users, body);
+
+    if (!hasRole(me, 'owner')) return sendJSON({ error: 'Forbidden' }, 403);
+    if (op === 'create') return await createUser(request, me, users, body);
+    if (op === 'update') return await updateUser(request, me, users, body);
+    if (op === 'delete') return await deleteUser(request, me, users, body);
+
+    return sendJSON({ error: 'unknown op' }, 400);
+  } catch (err) {
+    try { console.error('[users] error:', err); } catch {}
+    return sendJSON({ error: errorMessage(err) }, 500);
+  }
+}, { methods: 'GET,POST' });
@@ -1,59 +1,131 @@
 import JSZip from 'jszip';
+import { canViewHidden, requireUser } from '../lib/auth.js';
+import { parseSlug } from '../lib/slug.js';
+import { readPost } from '../lib/store.js';
+import { isLive } from '../lib/publish.js';
+import { normalizeTags } from '../lib/tags.js';
+import { safeName, fileExt, filesOf, fetchAll } from '../lib/archive.js';
+import { signedImageUrl } from '../lib/media.js';
+import { sendJSON, withCors } from '../lib/http.js';
 
-function errorJSON(msg, status=500){
-  return new Response(JSON.stringify({error:msg}),{
-    status, headers:{'content-type':'application/json'}
-  });
-}
+// 下載的版本：預設是加浮水印的，原檔（variant=original）只給管理員
+const VARIANTS = ['watermarked', 'original'];
+// 尺寸：original 原尺寸；web 交給 Cloudinary 縮到長邊 2048
+const SIZES = { original: '', web: 'c_limit,w_2048,h_2048,q_auto' };
 
-function safeName(s){
-  return String(s||'').trim().replace(/\s+/g,' ').replace(/[^\p{L}\p{N} _-]+/gu,'').replace(/[ ]+/g,'_').slice(0,80) || 'untitled';
+function errorJSON(msg, status=500, extra={}){
+  return sendJSON({error:msg, ...extra}, status);
 }
+
 function yyyymmdd(input){
   try{ const d=new Date(input); if(isNaN(d.getTime())) return ''; return d.getFullYear()+String(d.getMonth()+1).padStart(2,'0')+String(d.getDate()).padStart(2,'0'); }catch{ return ''; }
 }
 
-export default async (request) => {
-  if (request.method === 'OPTIONS') return new Response(null, {status:204, headers: { 'access-control-allow-origin': '*', 'access-control-allow-methods': 'GET,POST,OPTIONS', 'access-control-allow-headers': 'content-type' }});
-  if (request.method === 'OPTIONS') return json({}, 204);
+// items=1,3,5（照片編號從 1 開始，跟畫面上的「照片 1」一樣）；沒帶就是全部
+function parseItemNumbers(raw, total){
+  if (!raw) return { numbers: Array.from({length: total}, (_, i) => i + 1) };
+  const numbers = [];
+  for (const part of raw.split(',')) {
+    const s = part.trim();
+    if (!s) continue;
+    const n = Number(s);
+    if (!Number.isInteger(n) || n < 1 || n > total) return { error: `invalid item number: ${s}` };
+    if (!numbers.includes(n)) numbers.push(n);
+  }
+  if (!numbers.length) return { error: 'items is empty' };
+  return { numbers: numbers.sort((a, b) => a - b) };
+}
+
+function readme({ data, slug, tags, variant, size, entries, skipped }){
+  const lines = [
+    `Title: ${data.title||''}`,
+    `Date: ${data.date||''}`,
+    `Slug: ${slug}`,
+    `Tags: ${tags.join(', ')}`,
+    `Variant: ${variant}`,
+    `Size: ${size}`,
+    `Files: ${entries.length}`,
+  ];
+  const desc = String(data.desc||'').trim();
+  if (desc) lines.push('', 'Description:', desc);
+  lines.push('', 'Photos:');
+  for (const e of entries) lines.push(`${e.file}${e.caption ? '  ' + e.caption : ''}`);
+  if (skipped.length) {
+    lines.push('', `Skipped (${skipped.length}):`);
+    for (const s of skipped) lines.push(`#${s.item}${s.side ? ' ' + s.side : ''}  ${s.reason}  ${s.url||''}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+export default withCors(async (request) => {
+  if (request.method !== 'GET') return errorJSON('Method not allowed',405);
   try {
     const url = new URL(request.url);
-    const slug = url.searchParams.get('slug');
-    if (!slug) return errorJSON('slug required',400);
-
-    const cloud = process.env.CLD_CLOUD_NAME;
-    const dataUrl = `https://res.cloudinary.com/${cloud}/raw/upload/collages/${slug}/data.json`;
-    const r = await fetch(dataUrl);
-    if (!r.ok) return errorJSON('not found',404);
-    const data = await r.json();
+    const rawSlug = url.searchParams.get('slug');
+    const slug = parseSlug(rawSlug);
+    if (!slug) return errorJSON(rawSlug ? 'invalid slug' : 'slug required',400);
+
+    const variant = url.searchParams.get('variant') || 'watermarked';
+    if (!VARIANTS.includes(variant)) return errorJSON('variant must be watermarked or original',400);
+    if (variant === 'original' && !(await requireUser(request))) return errorJSON('Unauthorized',401);
+    const size = url.searchParams.get('size') || 'original';
+    if (!Object.hasOwn(SIZES, size)) return errorJSON('size must be original or web',400);
+
+    // 讀最新一份（private，走簽名下載網址），剛隱藏、刪除的案件不會從 CDN 舊快取漏出去
+    let data;
+    try{ data = await readPost(slug); }
+    catch{ return errorJSON('cannot read post data',502); }
+    if (!data) return errorJSON('not found',404);
+    // 隱藏（含排程時間外）的案件：跟 get-post 一樣，管理員或分享 token 才能下載
+    if (data.deleted_at && !(await requireUser(request))) return errorJSON('not found',404);
+    if (!isLive(data) && !(await canViewHidden(request, slug))) return errorJSON('not found',404);
     const items = Array.isArray(data.items)? data.items : [];
     if (items.length === 0) return errorJSON('no items',400);
 
+    const picked = parseItemNumbers(url.searchParams.get('items'), items.length);
+    if (picked.error) return errorJSON(picked.error,400);
+
     const title = safeName(data.title || '');
     const date  = yyyymmdd(data.date || '');
-    const base  = [title, date, slug].filter(Boolean).join('-') || slug;
+    const base  = [title, date, slug, variant === 'original' ? 'original' : ''].filter(Boolean).join('-') || slug;
+    const tags  = normalizeTags(data.tags);
+
+    // 浮水印版：不是 Cloudinary 的網址加不了，原樣下載
+    const sourceOf = u => signedImageUrl(u, SIZES[size], { watermark: variant !== 'original' });
+    const files = picked.numbers.flatMap(no => filesOf(items[no-1] || {}, no));
+    const results = await fetchAll(files, sourceOf);
 
     const zip = new JSZip();
-    zip.file('README.txt', `Title: ${data.title||''}
-Date: ${data.date||''}
-Slug: ${slug}
-Count: ${items.length}
-`);
-
-    let idx = 1;
-    for (const it of items) {
-      const url = it.url;
-      if (!url) continue;
-      const resp = await fetch(url);
-      if (!resp.ok) continue;
-      const buf = new Uint8Array(await resp.arrayBuffer());
-      const m = url.match(/\.(jpg|jpeg|png|webp)(\?.*)?$/i);
-      const ext = m ? m[1].toLowerCase() : 'jpg';
-      const safeCaption = safeName(it.caption||'').slice(0,40);
-      const name = `${String(idx).padStart(2,'0')}${safeCaption ? '_'+safeCaption : ''}.${ext}`;
-      zip.file(name, buf);
-      idx++;
-    }
+    const entries = [];
+    const skipped = [];
+    files.forEach((f, i) => {
+      const res = results[i];
+      if (res.error) {
+        skipped.push({ item: f.no, side: f.side, url: f.url || null, reason: res.error });
+        return;
+      }
+      // web 尺寸由 Cloudinary 輸出，副檔名還是照原本的網址
+      const file = `${f.base}.${fileExt(f.url)}`;
+      // 照片本來就壓縮過，再 DEFLATE 只是浪費時間
+      zip.file(file, res.buf, { compression: 'STORE' });
+      entries.push({ file, item: f.no, side: f.side, caption: f.caption, ...f.meta, bytes: res.buf.length });
+    });
+
+    if (!entries.length) return errorJSON('no files could be downloaded',502,{ skipped });
+
+    zip.file('manifest.json', JSON.stringify({
+      slug,
+      title: data.title || '',
+      date: data.date || '',
+      desc: data.desc || '',
+      tags,
+      variant,
+      size,
+      generated_at: new Date().toISOString(),
+      files: entries,
+      skipped,
+    }, null, 2));
+    zip.file('README.txt', readme({ data, slug, tags, variant, size, entries, skipped }));
 
     const content = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE', compressionOptions: { level: 6 } });
 
@@ -65,10 +137,13 @@ Count: ${items.length}
       headers: {
         'content-type': 'application/zip',
         'content-disposition': `attachment; filename="${asciiFallback}"; filename*=UTF-8''${utf8Encoded}`,
-        'cache-control': 'no-store'
+        'cache-control': 'no-store',
+        // 有漏掉的檔案在 header 也報一下，前端不用解壓就知道
+        'x-zip-skipped': String(skipped.length),
+        'access-control-expose-headers': 'content-disposition,x-zip-skipped'
       }
     });
   } catch (e) {
     return errorJSON(String(e && e.message || e),500);
   }
-}
+}, { methods: 'GET' });
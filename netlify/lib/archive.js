@@ -0,0 +1,60 @@
+// netlify/lib/archive.js
+// 打包照片共用的命名跟下載：zip-images（單一案件）、backup-export（整份備份）都用這套
+// 檔名：<兩位數編號>[_before|_after][_說明].<副檔名>，例如 03_before_2F-客廳.jpg
+import { itemMeta } from './items.js';
+
+// 同時抓幾張、每張最多等多久
+const CONCURRENCY = 4;
+const FETCH_TIMEOUT_MS = 20000;
+
+export function safeName(s){
+  return String(s||'').trim().replace(/\s+/g,' ').replace(/[^\p{L}\p{N} _-]+/gu,'').replace(/[ ]+/g,'_').slice(0,80) || 'untitled';
+}
+
+// 副檔名照原本的網址，看不出來就當 jpg
+export function fileExt(url){
+  const m = String(url||'').match(/\.(jpg|jpeg|png|webp)(\?.*)?$/i);
+  return m ? m[1].toLowerCase() : 'jpg';
+}
+
+// 一個 item 要下載的檔案：前後對比拆成 before / after 兩個，同一個編號（從 1 開始）
+export function filesOf(it, no){
+  const files = it.before && it.after
+    ? [{ url: it.before, side: 'before', suffix: '_before' }, { url: it.after, side: 'after', suffix: '_after' }]
+    : [{ url: it.url, side: null, suffix: '' }];
+  const safeCaption = safeName(it.caption||'').slice(0,40);
+  return files.map(f => ({
+    ...f,
+    no,
+    caption: it.caption || '',
+    meta: itemMeta(it),
+    base: `${String(no).padStart(2,'0')}${f.suffix}${it.caption ? '_'+safeCaption : ''}`,
+  }));
+}
+
+async function fetchFile(url){
+  const resp = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return new Uint8Array(await resp.arrayBuffer());
+}
+
+// 限制同時抓的數量；每個檔案各自成功或失敗，不會因為一張失敗整包中斷
+// 回傳跟 files 同順序的 [{ buf } | { error }]
+export async function fetchAll(files, sourceOf = u => u){
+  const results = new Array(files.length);
+  let next = 0;
+  async function worker(){
+    while (next < files.length) {
+      const i = next++;
+      const f = files[i];
+      if (!f.url) { results[i] = { error: 'missing url' }; continue; }
+      try {
+        results[i] = { buf: await fetchFile(sourceOf(f.url)) };
+      } catch (e) {
+        results[i] = { error: e?.name === 'TimeoutError' ? 'timeout' : String(e?.message || e) };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, files.length) }, worker));
+  return results;
+}
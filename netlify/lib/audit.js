@@ -0,0 +1,144 @@
+// netlify/lib/audit.js
+// 操作紀錄（稽核）：每個會改資料的 function 做完都記一筆，只新增、不修改
+// collages/_system/audit/<yyyy-mm>/<id>，一筆一個 private raw 檔（有 IP、改之前的內容），不會有同時寫入互相蓋掉的問題
+// { id, at, action, slug, actor, ip, summary, changes, details }
+// 查詢用的欄位也寫進 context，列清單時不用逐一抓檔案（跟 revisions.js 一樣）
+import crypto from 'node:crypto';
+import { readJSON, writeJSON, listRaw, SYSTEM_PREFIX } from './store.js';
+import { diffData } from './revisions.js';
+import { actorName } from './auth.js';
+import { clientIp } from './http.js';
+
+const AUDIT_PREFIX = SYSTEM_PREFIX + 'audit/';
+// id = 時間（ISO 把 : . 換成 -）+ 隨機碼，字串排序 = 時間排序
+const AUDIT_ID_RE = /^(\d{4}-\d{2})-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{6}$/;
+
+const MAX_TEXT = 80;
+// 這些欄位每次都會變，列進摘要只是雜訊
+const SKIP_FIELDS = new Set(['updated_at']);
+
+export function isValidAuditId(id) {
+  return typeof id === 'string' && AUDIT_ID_RE.test(id);
+}
+
+function auditPath(id) {
+  return AUDIT_PREFIX + id.slice(0, 7) + '/' + id;
+}
+
+// 摘要裡的值：字串截短、照片清單只記張數
+function brief(field, value) {
+  if (value === null || value === undefined) return null;
+  if (field === 'items') return Array.isArray(value) ? `${value.length} 張` : null;
+  if (typeof value === 'string') return value.length > MAX_TEXT ? value.slice(0, MAX_TEXT) + '…' : value;
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'string' ? v : '…'));
+  if (typeof value === 'object') return '…';
+  return value;
+}
+
+// 前後差異的摘要 [{ field, before, after }]；新建或永久刪除時只有一邊
+export function summarizeChange(before, after) {
+  if (!before && !after) return [];
+  return diffData(before, after)
+    .filter(c => !SKIP_FIELDS.has(c.field))
+    .map(c => ({ field: c.field, before: brief(c.field, c.before), after: brief(c.field, c.after) }));
+}
+
+// 列表上顯示的一行摘要：改了哪些欄位；新建、永久刪除時整筆都變了，就不一一列出
+function summaryText(action, changes, details, before, after) {
+  if (details && details.summary) return String(details.summary).slice(0, 200);
+  if (!before && after) return '新建';
+  if (before && !after) return '永久刪除';
+  if (!changes.length) return action;
+  return changes.map(c => c.field).join(', ');
+}
+
+// 記一筆操作紀錄；記不起來只寫 log，不影響原本的動作（資料已經改了，不能因為紀錄失敗回錯誤）
+// - request：取 client IP（排程等沒有 request 的傳 null）
+// - user：requireUser 回傳的 payload，或是直接給操作者名稱（例如 'system'）
+// - before / after：改之前 / 之後的資料（可以只給相關欄位）
+// - details：其他補充（批次的 slug 清單、帳號名稱…）；details.summary 會取代自動產生的摘要
+export async function recordAudit(request, user, { action, slug = null, before = null, after = null, details = null }) {
+  const now = new Date();
+  const id = now.toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex');
+  const changes = summarizeChange(before, after);
+  const entry = {
+    id,
+    at: now.toISOString(),
+    action,
+    slug,
+    actor: typeof user === 'string' ? user : actorName(user),
+    ip: request ? clientIp(request) : null,
+    summary: summaryText(action, changes, details, before, after),
+    changes,
+    details,
+  };
+  try {
+    const context = { at: entry.at, action, actor: entry.actor, summary: entry.summary };
+    if (slug) context.slug = slug;
+    if (entry.ip) context.ip = entry.ip;
+    await writeJSON(auditPath(id), entry, { context });
+  } catch (err) {
+    try { console.error('[audit] cannot record', action, slug, err); } catch {}
+  }
+  return entry;
+}
+
+function monthsBetween(from, to) {
+  const months = [];
+  const d = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), 1));
+  const end = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1);
+  while (d.getTime() >= end) {
+    months.push(d.toISOString().slice(0, 7));
+    d.setUTCMonth(d.getUTCMonth() - 1);
+  }
+  return months;
+}
+
+async function listMonth(month) {
+  const prefix = AUDIT_PREFIX + month + '/';
+  const resources = await listRaw(prefix, { type: 'private', context: true });
+
+  const entries = [];
+  for (const r of resources) {
+    const id = String(r.public_id || '').slice(prefix.length).replace(/\.json$/i, '');
+    if (!isValidAuditId(id)) continue;
+    const ctx = r.context?.custom || {};
+    entries.push({
+      id,
+      at: ctx.at || r.created_at,
+      action: ctx.action || 'unknown',
+      slug: ctx.slug || null,
+      actor: ctx.actor || 'unknown',
+      ip: ctx.ip || null,
+      summary: ctx.summary || '',
+    });
+  }
+  return entries;
+}
+
+// 查詢（新到舊），只回摘要；from / to 是 Date，其他條件都是完全相符（action 可以只給前綴，例如 batch-posts）
+export async function listAudit({ from, to, slug, action, actor, limit }) {
+  const entries = [];
+  for (const month of monthsBetween(from, to)) {
+    entries.push(...(await listMonth(month)));
+  }
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const matched = entries
+    .filter(e => {
+      const t = new Date(e.at).getTime();
+      if (!(t >= fromMs && t <= toMs)) return false;
+      if (slug && e.slug !== slug) return false;
+      if (actor && e.actor !== actor) return false;
+      if (action && e.action !== action && !e.action.startsWith(action + ':')) return false;
+      return true;
+    })
+    .sort((a, b) => (a.id < b.id ? 1 : -1));
+  return { total: matched.length, entries: matched.slice(0, limit) };
+}
+
+// 讀一筆完整紀錄（含 changes、details）；不存在回 null
+export async function readAudit(id) {
+  if (!isValidAuditId(id)) return null;
+  return readJSON(auditPath(id));
+}
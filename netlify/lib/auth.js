@@ -0,0 +1,167 @@
+// netlify/lib/auth.js
+// 各個 function 共用的權限工具：登入 token、角色權限、私密分享 token
+//
+// 角色（由低到高）：viewer 只能看（含隱藏、垃圾桶）、editor 可以新增並修改自己建立的案件、owner 全部
+//
+// - access token：放在 Authorization: Bearer，效期短（ADMIN_TOKEN_TTL，預設 30 分鐘）
+// - refresh token：HttpOnly cookie，只有 admin-refresh / admin-logout 會讀，換新時舊的直接作廢
+// - 每顆 token 都有 jti，登出或換新後記到作廢清單（lib/revoked.js），驗證時會檢查
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { readCookie, serializeCookie } from './http.js';
+import { isRevoked, revokeTokens } from './revoked.js';
+
+const SHARE_AUDIENCE = 'share';
+const ACCESS_AUDIENCE = 'admin';
+const REFRESH_AUDIENCE = 'refresh';
+
+const DEFAULT_ACCESS_TTL = 30 * 60;
+const REFRESH_TTL = 7 * 24 * 60 * 60;
+export const REFRESH_COOKIE = 'uc_refresh';
+
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+function adminSecret() {
+  return process.env.ADMIN_JWT_SECRET || '';
+}
+
+// 分享 token 預設用獨立的 secret，沒設定就沿用管理員的
+function shareSecret() {
+  return process.env.SHARE_TOKEN_SECRET || adminSecret();
+}
+
+function accessTtl() {
+  const n = parseInt(process.env.ADMIN_TOKEN_TTL, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_ACCESS_TTL;
+}
+
+// 密碼比對：先各自做 SHA-256 變成一樣長，再用 timingSafeEqual，不會因為長度或前綴洩漏時間差
+export function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a ?? '')).digest();
+  const hb = crypto.createHash('sha256').update(String(b ?? '')).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function verifyAdminJWT(token, audience) {
+  const secret = adminSecret();
+  if (!token || !secret) return null;
+  try {
+    const decoded = jwt.verify(token, secret, { algorithms: ['HS256'], audience });
+    if (decoded && decoded.jti) return decoded;
+  } catch (_) {}
+  return null;
+}
+
+// 帳號系統之前發的 token 角色是 admin，當成 owner
+function normalizeRole(role) {
+  return role === 'admin' ? 'owner' : role;
+}
+
+// 簽一組新的 access + refresh token；回傳 { token, expires_at, cookie }
+export function issueSession({ sub, role, name }) {
+  const secret = adminSecret();
+  const ttl = accessTtl();
+  const claims = { sub, role, name: name || sub };
+  const token = jwt.sign(claims, secret, {
+    algorithm: 'HS256',
+    audience: ACCESS_AUDIENCE,
+    expiresIn: ttl,
+    jwtid: crypto.randomUUID(),
+  });
+  const refresh = jwt.sign(claims, secret, {
+    algorithm: 'HS256',
+    audience: REFRESH_AUDIENCE,
+    expiresIn: REFRESH_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+  return {
+    token,
+    expires_at: new Date(Date.now() + ttl * 1000).toISOString(),
+    cookie: serializeCookie(REFRESH_COOKIE, refresh, { maxAge: REFRESH_TTL }),
+  };
+}
+
+export function clearSessionCookie() {
+  return serializeCookie(REFRESH_COOKIE, '', { maxAge: 0 });
+}
+
+function bearerToken(request) {
+  const authHeader = request.headers.get('authorization') || '';
+  const m = authHeader.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1] : null;
+}
+
+// 驗證 Authorization: Bearer <access token>，失敗或已作廢回 null
+// 回傳的 payload：{ sub（帳號）, role, name, jti, exp }
+export async function requireUser(request) {
+  const decoded = verifyAdminJWT(bearerToken(request), ACCESS_AUDIENCE);
+  if (!decoded) return null;
+  const role = normalizeRole(decoded.role);
+  if (!ROLES.includes(role)) return null;
+  if (await isRevoked(decoded.jti)) return null;
+  return { ...decoded, role };
+}
+
+// 角色至少要到 role（viewer < editor < owner）
+export function hasRole(payload, role) {
+  return !!payload && ROLES.indexOf(payload.role) >= ROLES.indexOf(role);
+}
+
+// 能不能修改這個案件：owner 全部，editor 只能改自己建立的（沒有 author 的舊案件只有 owner 能改）
+export function canEditPost(payload, data) {
+  if (hasRole(payload, 'owner')) return true;
+  return hasRole(payload, 'editor') && !!data && !!data.author && data.author === payload.sub;
+}
+
+// refresh cookie 裡的 token，有效且沒作廢才回傳 payload
+export async function readRefreshToken(request) {
+  const decoded = verifyAdminJWT(readCookie(request, REFRESH_COOKIE), REFRESH_AUDIENCE);
+  if (!decoded) return null;
+  if (await isRevoked(decoded.jti)) return null;
+  return { ...decoded, role: normalizeRole(decoded.role) };
+}
+
+// 登出：Authorization 裡的 access token 跟 cookie 裡的 refresh token 都作廢（過期的就不用記）
+export async function revokeSession(request) {
+  const list = [
+    verifyAdminJWT(bearerToken(request), ACCESS_AUDIENCE),
+    verifyAdminJWT(readCookie(request, REFRESH_COOKIE), REFRESH_AUDIENCE),
+  ].filter(Boolean);
+  await revokeTokens(list.map(t => ({ jti: t.jti, exp: t.exp })));
+  return list.length;
+}
+
+// 紀錄用的操作者名稱（歷史版本等）
+export function actorName(payload) {
+  return (payload && (payload.sub || payload.role)) || 'unknown';
+}
+
+// 簽一顆只能看某個 slug 的分享 token
+export function signShareToken(slug, expiresInSec) {
+  return jwt.sign({ typ: 'share', slug }, shareSecret(), {
+    algorithm: 'HS256',
+    audience: SHARE_AUDIENCE,
+    expiresIn: expiresInSec,
+  });
+}
+
+// token 有效且 slug 相符才回傳 payload
+export function verifyShareToken(token, slug) {
+  const secret = shareSecret();
+  if (!token || !secret) return null;
+  try {
+    const decoded = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      audience: SHARE_AUDIENCE,
+    });
+    if (decoded && decoded.typ === 'share' && decoded.slug === slug) return decoded;
+  } catch (_) {}
+  return null;
+}
+
+// 隱藏的案件：登入的帳號（任何角色）或帶著有效分享 token（?token=）的人才看得到
+export async function canViewHidden(request, slug) {
+  const token = new URL(request.url).searchParams.get('token');
+  if (verifyShareToken(token, slug)) return true;
+  return !!(await requireUser(request));
+}
@@ -0,0 +1,117 @@
+// netlify/lib/catalog.js
+// 案件總覽索引：一份 JSON 收齊每個 slug 的摘要，list-posts 不用再逐一抓 data.json
+import { SYSTEM_PREFIX, readJSON, writeJSON, fetchJSON, listPostResources } from './store.js';
+import { normalizeTags } from './tags.js';
+import { distinctMeta, itemUrls } from './items.js';
+
+const CATALOG_ID = `${SYSTEM_PREFIX}catalog`;
+// 摘要欄位有變動時加一，舊格式的索引讀到會自動重建
+const CATALOG_VERSION = 6;
+const REBUILD_CONCURRENCY = 8;
+// 說明只留開頭一段給 feed 當摘要，完整內容還是在 data.json
+const EXCERPT_LENGTH = 200;
+
+function excerpt(text) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > EXCERPT_LENGTH ? s.slice(0, EXCERPT_LENGTH - 1) + '…' : s;
+}
+
+// 從 data.json 算出索引裡的一筆摘要
+export function catalogEntry(slug, data) {
+  const items = Array.isArray(data.items) ? data.items : [];
+  const first = items[0] || {};
+  return {
+    slug,
+    title: data.title || data.titile || slug,
+    date: data.date || data.created_at,
+    created_at: data.created_at,
+    updated_at: data.updated_at,
+    tags: normalizeTags(data.tags), // 還沒 migrate 的舊資料可能是字串
+    excerpt: excerpt(data.desc),
+    // 決定縮圖：preview -> cover -> items[0]（前後對比取 after）
+    preview: data.preview || data.cover || first.url || first.after || null,
+    visible: data.visible !== false, // 沒寫就當 true
+    publish_at: data.publish_at || null, // 排程上架，見 lib/publish.js
+    unpublish_at: data.unpublish_at || null,
+    deleted_at: data.deleted_at || null, // 在垃圾桶裡才會有
+    count: items.length,
+    serviceTypes: distinctMeta(items, 'serviceType'),
+    floors: distinctMeta(items, 'floor'),
+    author: data.author || null, // 建立的帳號，舊案件沒有
+    images: Array.from(new Set(items.flatMap(itemUrls))), // 所有照片（去重、照順序），給 sitemap 用，不對外回
+  };
+}
+
+export async function loadCatalog() {
+  const catalog = await readJSON(CATALOG_ID);
+  if (!catalog || !Array.isArray(catalog.posts) || catalog.version !== CATALOG_VERSION) return null;
+  return catalog;
+}
+
+export async function saveCatalog(posts) {
+  const catalog = { version: CATALOG_VERSION, updated_at: new Date().toISOString(), posts };
+  await writeJSON(CATALOG_ID, catalog);
+  return catalog;
+}
+
+// 從每個 slug 的 data.json 重新產生索引
+export async function rebuildCatalog() {
+  const targets = await listPostResources();
+  const posts = [];
+
+  // 限制同時抓的數量，不要一次打爆 Cloudinary
+  for (let i = 0; i < targets.length; i += REBUILD_CONCURRENCY) {
+    const batch = targets.slice(i, i + REBUILD_CONCURRENCY);
+    const results = await Promise.all(
+      batch.map(async (t) => {
+        try {
+          return catalogEntry(t.slug, await fetchJSON(t));
+        } catch {
+          return null;
+        }
+      })
+    );
+    posts.push(...results.filter(Boolean));
+  }
+
+  return saveCatalog(posts);
+}
+
+// 讀索引，還沒建過就先重建一次
+export async function getCatalog() {
+  return (await loadCatalog()) || rebuildCatalog();
+}
+
+async function mutate(fn) {
+  const catalog = await loadCatalog();
+  // 索引還不存在（或是舊格式）：直接從頭建，裡面自然包含這次的變更
+  if (!catalog) return rebuildCatalog();
+  return saveCatalog(fn(catalog.posts));
+}
+
+// 新增或更新一筆（create-post / update-post / update-visible 存檔後呼叫）
+export async function upsertCatalogEntry(slug, data) {
+  const entry = catalogEntry(slug, data);
+  return mutate(posts => [...posts.filter(p => p.slug !== slug), entry]);
+}
+
+export async function removeCatalogEntry(slug) {
+  return mutate(posts => posts.filter(p => p.slug !== slug));
+}
+
+// 一次更新多筆（batch-posts 用）：updates = [{ slug, data }]，只寫一次索引
+export async function upsertCatalogEntries(updates) {
+  if (!updates.length) return null;
+  const entries = updates.map(u => catalogEntry(u.slug, u.data));
+  const slugs = new Set(entries.map(e => e.slug));
+  return mutate(posts => [...posts.filter(p => !slugs.has(p.slug)), ...entries]);
+}
+
+// 索引只是快取：寫入失敗不影響主要動作，記 log 之後可用 rebuild-catalog 修復
+export async function syncCatalog(fn, tag) {
+  try {
+    await fn();
+  } catch (err) {
+    try { console.error(`[${tag}] catalog update failed:`, err); } catch {}
+  }
+}
@@ -0,0 +1,108 @@
+// netlify/lib/http.js
+// 各個 function 共用的回應工具：JSON 回應、CORS 白名單、cookie、client IP
+//
+// CORS：ALLOWED_ORIGINS 設成逗號分隔的網址（例如 https://example.com,https://admin.example.com）
+// - 沒設定時只允許網站自己（Netlify 的 URL / DEPLOY_PRIME_URL / DEPLOY_URL）
+// - 同網域的請求一律放行；白名單外的 Origin 預檢回 403，實際請求也直接 403
+// - 要全部開放可以設成 *：回固定的 Access-Control-Allow-Origin: *、不帶 credentials，
+//   別的網站只能用 Authorization header 呼叫，refresh cookie 不會跨站送出
+// handler 丟出錯誤（例如讀 Cloudinary 失敗）統一回 500 JSON，一樣帶 CORS header
+export const JSON_HEADERS = { 'content-type': 'application/json' };
+
+export function sendJSON(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...JSON_HEADERS, ...headers },
+  });
+}
+
+function normalizeOrigin(s) {
+  try {
+    return new URL(String(s).trim()).origin;
+  } catch {
+    return null;
+  }
+}
+
+export function allowedOrigins() {
+  const raw = process.env.ALLOWED_ORIGINS;
+  if (raw && raw.trim() === '*') return ['*'];
+  const list = raw
+    ? raw.split(',')
+    : [process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL];
+  return list.filter(Boolean).map(normalizeOrigin).filter(Boolean);
+}
+
+export function isAllowedOrigin(request, origin) {
+  if (!origin) return true;
+  if (origin === new URL(request.url).origin) return true;
+  const allowed = allowedOrigins();
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+// 同網域、白名單裡明列的 Origin 可以帶 cookie；只因為 * 放行的不行
+function corsHeaders(request, origin, methods) {
+  if (!origin) return {};
+  const listed = origin === new URL(request.url).origin || allowedOrigins().includes(origin);
+  return {
+    'access-control-allow-origin': listed ? origin : '*',
+    'access-control-allow-methods': `${methods},OPTIONS`,
+    'access-control-allow-headers': 'content-type,authorization',
+    ...(listed ? { 'access-control-allow-credentials': 'true' } : {}),
+    'access-control-expose-headers': 'content-disposition,retry-after',
+    vary: 'Origin',
+  };
+}
+
+// 包住 function 的 handler：處理 OPTIONS 預檢、擋白名單外的 Origin、幫回應補上 CORS header
+// methods：這個 function 接受的方法（不含 OPTIONS），例如 'GET' 或 'GET,POST'
+export function withCors(handler, { methods = 'GET,POST' } = {}) {
+  return async (request, context) => {
+    const origin = request.headers.get('origin');
+    if (!isAllowedOrigin(request, origin)) {
+      return sendJSON({ error: 'origin not allowed' }, 403, { vary: 'Origin' });
+    }
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: corsHeaders(request, origin, methods) });
+    }
+
+    let res;
+    try {
+      res = await handler(request, context);
+    } catch (err) {
+      try { console.error('[withCors] unhandled error:', err); } catch {}
+      res = sendJSON({ error: (err && (err.message || err.error?.message)) || 'Internal error' }, 500);
+    }
+    const headers = new Headers(res.headers);
+    for (const [k, v] of Object.entries(corsHeaders(request, origin, methods))) {
+      if (!headers.has(k)) headers.set(k, v);
+    }
+    return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+  };
+}
+
+// Netlify 會帶 x-nf-client-connection-ip；本機開發退回 x-forwarded-for
+export function clientIp(request) {
+  return (
+    request.headers.get('x-nf-client-connection-ip') ||
+    (request.headers.get('x-forwarded-for') || '').split(',')[0].trim() ||
+    'unknown'
+  );
+}
+
+export function readCookie(request, name) {
+  const raw = request.headers.get('cookie') || '';
+  for (const part of raw.split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    if (part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// HttpOnly、只送給 /.netlify/functions/；maxAge 秒數，0 代表刪除
+export function serializeCookie(name, value, { maxAge, path = '/.netlify/functions/' } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, 'HttpOnly', 'Secure', 'SameSite=Strict'];
+  if (maxAge !== undefined) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAge))}`);
+  return parts.join('; ');
+}
@@ -0,0 +1,88 @@
+// netlify/lib/items.js
+// 案件照片（items）的整理：單張 { url } 或前後對比 { before, after }，
+// 加上結構化的 floor（樓層）/ place（所在類型）/ serviceType（清洗類別）跟顯示用的 caption
+const META_FIELDS = ['floor', 'place', 'serviceType'];
+const MAX_META_LEN = 40;
+
+// 跟前端 setRowCaption 同一套：看起來像樓層的字
+const FLOOR_RE = /^(B?\d+F|RF|頂樓)$/i;
+
+const str = v => (typeof v === 'string' ? v.trim() : '');
+
+function metaValue(v) {
+  return str(v).normalize('NFKC').slice(0, MAX_META_LEN).trim();
+}
+
+// 舊資料只有「2F-客廳-分離式冷氣室內機」這種 caption：拆得出來就拆，拆不出來回空的
+export function parseCaption(caption) {
+  const parts = str(caption).split('-').map(s => s.trim()).filter(Boolean);
+  if (parts.length >= 3 && FLOOR_RE.test(parts[0])) {
+    return { floor: parts[0], place: parts[1], serviceType: parts.slice(2).join('-') };
+  }
+  return {};
+}
+
+// 一張照片的 floor / place / serviceType：有結構化欄位用欄位，舊資料從 caption 推
+export function itemMeta(it) {
+  if (!it) return {};
+  if (META_FIELDS.some(f => str(it[f]))) {
+    const out = {};
+    for (const f of META_FIELDS) {
+      const v = metaValue(it[f]);
+      if (v) out[f] = v;
+    }
+    return out;
+  }
+  return parseCaption(it.caption);
+}
+
+// 沒給 caption 就用結構化欄位組一個（跟前端 getRowCaption 一樣用 - 串起來）
+function captionOf(it, meta) {
+  const caption = str(it.caption);
+  if (caption) return caption;
+  return META_FIELDS.map(f => meta[f]).filter(Boolean).join('-');
+}
+
+// 把前端送來的 items 整理成 [{ url, ... }] 或 [{ before, after, ... }]，缺圖的直接丟掉
+export function cleanItems(items) {
+  const out = [];
+  for (const it of Array.isArray(items) ? items : []) {
+    if (!it) continue;
+    let base;
+    if (str(it.before) && str(it.after)) {
+      base = { before: str(it.before), after: str(it.after) };
+    } else if (str(it.url)) {
+      base = { url: str(it.url) };
+    } else {
+      continue;
+    }
+    // 只存前端真的有給的結構化欄位，舊的 caption-only 資料維持原樣
+    const meta = {};
+    for (const f of META_FIELDS) {
+      const v = metaValue(it[f]);
+      if (v) meta[f] = v;
+    }
+    out.push({ ...base, caption: captionOf(it, meta), ...meta });
+  }
+  return out;
+}
+
+// 一個 item 用到的所有圖片網址
+export function itemUrls(it) {
+  if (!it) return [];
+  return [it.url, it.before, it.after].filter(Boolean);
+}
+
+// 整個案件出現過的值（去重、照出現順序），給索引跟篩選用
+export function distinctMeta(items, field) {
+  const seen = new Set();
+  const out = [];
+  for (const it of Array.isArray(items) ? items : []) {
+    const v = itemMeta(it)[field];
+    if (v && !seen.has(v)) {
+      seen.add(v);
+      out.push(v);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+// netlify/lib/login-throttle.js
+// 登入失敗次數限制：collages/_system/login-throttle
+// - 同一個 IP 15 分鐘內失敗 5 次：這個 IP 鎖 15 分鐘
+// - 全部加起來 15 分鐘內失敗 30 次：整個登入鎖 15 分鐘（分散 IP 的暴力破解）
+// IP 只存雜湊；同時多個請求寫入可能互相蓋掉一兩筆，當作盡力而為
+import crypto from 'node:crypto';
+import { readJSON, writeJSON, SYSTEM_PREFIX } from './store.js';
+
+const THROTTLE_ID = SYSTEM_PREFIX + 'login-throttle';
+const WINDOW_MS = 15 * 60 * 1000;
+const LOCK_MS = 15 * 60 * 1000;
+const MAX_FAILS_PER_IP = 5;
+const MAX_FAILS_GLOBAL = 30;
+
+function ipKey(ip) {
+  return crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 16);
+}
+
+async function loadState() {
+  const doc = await readJSON(THROTTLE_ID);
+  return {
+    ips: doc && typeof doc.ips === 'object' && doc.ips ? doc.ips : {},
+    global: doc && typeof doc.global === 'object' && doc.global ? doc.global : {},
+  };
+}
+
+// 只留視窗內的失敗紀錄、還沒解鎖的鎖
+function prune(entry, now) {
+  const fails = (Array.isArray(entry?.fails) ? entry.fails : []).filter(t => now - t < WINDOW_MS);
+  const lockedUntil = entry?.locked_until && entry.locked_until > now ? entry.locked_until : 0;
+  return { fails, locked_until: lockedUntil };
+}
+
+function retryAfter(lockedUntil, now) {
+  return Math.max(1, Math.ceil((lockedUntil - now) / 1000));
+}
+
+// 登入前檢查：{ ok: true } 或 { ok: false, retryAfter（秒） }
+export async function checkLogin(ip) {
+  const now = Date.now();
+  const state = await loadState();
+  const g = prune(state.global, now);
+  if (g.locked_until) return { ok: false, retryAfter: retryAfter(g.locked_until, now) };
+  const e = prune(state.ips[ipKey(ip)], now);
+  if (e.locked_until) return { ok: false, retryAfter: retryAfter(e.locked_until, now) };
+  return { ok: true };
+}
+
+// 記一次失敗；回傳這次之後是否被鎖 { locked, retryAfter }
+export async function recordFailure(ip) {
+  const now = Date.now();
+  const state = await loadState();
+  const key = ipKey(ip);
+
+  const ips = {};
+  for (const [k, v] of Object.entries(state.ips)) {
+    const e = prune(v, now);
+    if (e.fails.length || e.locked_until) ips[k] = e;
+  }
+  const entry = ips[key] || { fails: [], locked_until: 0 };
+  entry.fails.push(now);
+  if (entry.fails.length >= MAX_FAILS_PER_IP) entry.locked_until = now + LOCK_MS;
+  ips[key] = entry;
+
+  const global = prune(state.global, now);
+  global.fails.push(now);
+  if (global.fails.length >= MAX_FAILS_GLOBAL) global.locked_until = now + LOCK_MS;
+
+  await writeJSON(THROTTLE_ID, { updated_at: new Date(now).toISOString(), ips, global });
+
+  const lockedUntil = Math.max(entry.locked_until, global.locked_until);
+  return lockedUntil ? { locked: true, retryAfter: retryAfter(lockedUntil, now) } : { locked: false };
+}
+
+// 登入成功：清掉這個 IP 的失敗紀錄（沒有紀錄就不寫）
+export async function recordSuccess(ip) {
+  const state = await loadState();
+  const key = ipKey(ip);
+  if (!Object.hasOwn(state.ips, key)) return;
+  const ips = { ...state.ips };
+  delete ips[key];
+  await writeJSON(THROTTLE_ID, { updated_at: new Date().toISOString(), ips, global: state.global });
+}
@@ -0,0 +1,67 @@
+// netlify/lib/media.js
+// 給訪客的照片網址：server 組好「縮圖 + 浮水印」再簽名，頁面、列表、feed 上顯示的都是這個版本
+// - 簽名（/s--…--/）涵蓋轉換參數，改掉浮水印那一段簽名就對不上；Cloudinary 後台開 Strict transformations 後，沒簽名的轉換一律拒絕
+// - 這只是嚇阻，不是存取控制：照片是 upload 類型，網址裡看得到 public_id 跟版本，拿掉轉換那一段就是原圖
+//   （要真的擋原圖得改成 authenticated 上傳、所有地方都簽名，目前沒做）
+// - 登入的帳號拿原本的網址（編輯、備份要用）；案件 data 本身是 private，CDN 上抓不到
+// - 前端 assets/watermark.js 看到簽過名的網址會原樣使用
+import { cloudinary } from './store.js';
+import { watermarkTransform } from '../../assets/watermark.js';
+
+// 案件頁、燈箱用的大小；gallery 列表的縮圖
+export const VIEW_SIZING = 'f_auto,q_auto,c_limit,w_1600';
+export const THUMB_SIZING = 'f_auto,q_auto,c_fill,g_auto,w_600,h_450';
+
+// 自己 Cloudinary 上的圖片網址拆成 { public_id, version, format }，其他網址回 null
+// 網址 → public_id 都用這一個（collage 疊圖、revisions 刪照片），不要各自再寫一份
+export function parseImageUrl(url) {
+  const cloud = process.env.CLD_CLOUD_NAME;
+  const prefix = `https://res.cloudinary.com/${cloud}/image/upload/`;
+  const s = String(url || '').replace(/^http:/, 'https:').split('?')[0];
+  if (!cloud || !s.startsWith(prefix)) return null;
+  // 去掉前面的轉換參數跟版本號
+  const parts = s.slice(prefix.length).split('/');
+  const v = parts.findIndex(p => /^v\d+$/.test(p));
+  const rest = v >= 0 ? parts.slice(v + 1) : parts.filter(p => !p.includes(','));
+  const m = /^(.+?)(?:\.([a-z0-9]+))?$/i.exec(decodeURIComponent(rest.join('/')));
+  if (!m) return null;
+  return { public_id: m[1], version: v >= 0 ? parts[v].slice(1) : undefined, format: m[2] };
+}
+
+// 只要 public_id（不含副檔名）；不是自己 Cloudinary 上的圖回 null
+export function publicIdFromUrl(url) {
+  return parseImageUrl(url)?.public_id || null;
+}
+
+// 縮圖 + 浮水印（watermark: false 只縮圖）再簽名；不是自己 Cloudinary 上的圖原樣回傳（加不了浮水印）
+export function signedImageUrl(url, sizing = VIEW_SIZING, { watermark = true } = {}) {
+  const parsed = parseImageUrl(url);
+  const raw = [sizing, watermark ? watermarkTransform() : ''].filter(Boolean).join('/');
+  if (!parsed || !raw) return url;
+  return cloudinary.url(parsed.public_id, {
+    secure: true,
+    resource_type: 'image',
+    type: 'upload',
+    version: parsed.version,
+    format: parsed.format,
+    raw_transformation: raw,
+    sign_url: true,
+  });
+}
+
+// 訪客看到的案件 data：照片、預覽圖都換成簽名過的浮水印版
+export function publicPost(data) {
+  const mark = u => (u ? signedImageUrl(u) : u);
+  const out = { ...data };
+  if (Array.isArray(data.items)) {
+    out.items = data.items.map(it => {
+      if (!it) return it;
+      const next = { ...it };
+      for (const k of ['url', 'before', 'after']) if (next[k]) next[k] = mark(next[k]);
+      return next;
+    });
+  }
+  if (data.preview) out.preview = mark(data.preview);
+  if (data.cover) out.cover = mark(data.cover);
+  return out;
+}
@@ -0,0 +1,41 @@
+// netlify/lib/publish.js
+// 排程上架：publish_at 之前、unpublish_at 之後，對外都當成隱藏
+// - visible === false 永遠隱藏；兩個時間都沒設就跟以前一樣
+// - 時間一律存 ISO（UTC），前端輸入的本地時間由瀏覽器轉好再送來
+// 登入的帳號照樣看得到，分享 token 也照樣有效（跟隱藏一樣）
+
+// 解析前端送來的時間：空值回 null（清掉），格式錯回 undefined
+export function parsePublishTime(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// 目前狀態：hidden（手動隱藏）/ scheduled（還沒到上架時間）/ expired（已過下架時間）/ live
+export function publishState(data, now = Date.now()) {
+  if (!data || data.visible === false) return 'hidden';
+  if (data.publish_at && new Date(data.publish_at).getTime() > now) return 'scheduled';
+  if (data.unpublish_at && new Date(data.unpublish_at).getTime() <= now) return 'expired';
+  return 'live';
+}
+
+// 對外看得到嗎（不含垃圾桶判斷，deleted_at 由呼叫端另外處理）
+export function isLive(data, now = Date.now()) {
+  return publishState(data, now) === 'live';
+}
+
+// create-post / update-post 共用：把 body 裡的 publish_at / unpublish_at 套到 data 上
+// 沒帶的欄位不動，帶 null 或空字串就清掉；回傳錯誤訊息或 null
+export function applyPublishWindow(data, body) {
+  for (const field of ['publish_at', 'unpublish_at']) {
+    if (!body || !Object.hasOwn(body, field)) continue;
+    const value = parsePublishTime(body[field]);
+    if (value === undefined) return `invalid ${field}`;
+    if (value) data[field] = value;
+    else delete data[field];
+  }
+  if (data.publish_at && data.unpublish_at && data.unpublish_at <= data.publish_at) {
+    return 'unpublish_at must be after publish_at';
+  }
+  return null;
+}
@@ -0,0 +1,163 @@
+// netlify/lib/revisions.js
+// 案件歷史版本：每次覆蓋 collages/<slug>/data 之前，先把舊內容存一份到 collages/<slug>/revisions/<id>（private raw 檔）
+// 每個案件只留最新 REVISIONS_KEEP 份，刪掉的版本裡只有它們用到的照片也一起刪（pruneRevisions）
+import { cloudinary, readJSON, writeJSON, readPost, writePost, fetchJSON, listRaw, storageType } from './store.js';
+import { itemUrls } from './items.js';
+import { publicIdFromUrl } from './media.js';
+
+const DEFAULT_KEEP = 30;
+// 超過保留數這麼多筆才整理一次：整理要讀每個留下的版本，不要每次存檔都做
+const PRUNE_SLACK = 10;
+// delete_resources 一次最多 100 個
+const DELETE_BATCH = 100;
+
+// id 就是存檔時間（ISO 把 : . 換成 -），字串排序 = 時間排序
+const REVISION_ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+export function revisionPrefix(slug) {
+  return `collages/${slug}/revisions/`;
+}
+
+export function isValidRevisionId(id) {
+  return typeof id === 'string' && REVISION_ID_RE.test(id);
+}
+
+function revisionId(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// 每個案件保留幾份歷史版本（REVISIONS_KEEP）
+export function revisionsToKeep() {
+  const n = parseInt(process.env.REVISIONS_KEEP, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_KEEP;
+}
+
+// 一份 data 用到、放在這個 slug 資料夾底下的圖片 public_id（別的地方的圖不歸這個案件管）
+function imageIds(slug, data) {
+  if (!data) return [];
+  const items = Array.isArray(data.items) ? data.items : [];
+  return [...items.flatMap(itemUrls), data.preview, data.cover]
+    .map(publicIdFromUrl)
+    .filter(pid => pid && pid.startsWith(`collages/${slug}/`));
+}
+
+// 改成 private 之前存的版本還是 upload，搬過去（migratePrivateFiles）之前兩種都列；每筆帶上 type
+async function revisionResources(slug, options = {}) {
+  const prefix = revisionPrefix(slug);
+  const types = Array.from(new Set([storageType(prefix), 'upload']));
+  const lists = await Promise.all(
+    types.map(async type => (await listRaw(prefix, { type, ...options })).map(r => ({ ...r, type })))
+  );
+  return lists.flat();
+}
+
+// 刪掉超過保留數的舊版本；照片只在被刪的版本裡用到（目前的 data、留下的版本都沒有）才跟著刪
+// 有任何一個版本讀不到就整個不做（丟錯誤），寧可多留也不要刪到還要用的照片
+export async function pruneRevisions(slug, current) {
+  const keep = revisionsToKeep();
+  const prefix = revisionPrefix(slug);
+  const resources = (await revisionResources(slug))
+    .filter(r => isValidRevisionId(String(r.public_id || '').slice(prefix.length).replace(/\.json$/i, '')))
+    .sort((a, b) => (a.public_id < b.public_id ? 1 : -1));
+  if (resources.length <= keep + PRUNE_SLACK) return { revisions: 0, images: 0 };
+
+  const kept = resources.slice(0, keep);
+  const dropped = resources.slice(keep);
+  const readData = async r => (await fetchJSON(r)).data;
+
+  const inUse = new Set(imageIds(slug, current));
+  for (const r of kept) {
+    imageIds(slug, await readData(r)).forEach(id => inUse.add(id));
+  }
+  const orphans = new Set();
+  for (const r of dropped) {
+    imageIds(slug, await readData(r)).forEach(id => { if (!inUse.has(id)) orphans.add(id); });
+  }
+
+  const images = Array.from(orphans);
+  for (let i = 0; i < images.length; i += DELETE_BATCH) {
+    await cloudinary.api.delete_resources(images.slice(i, i + DELETE_BATCH), { resource_type: 'image', type: 'upload' });
+  }
+  for (const type of new Set(dropped.map(r => r.type))) {
+    const ids = dropped.filter(r => r.type === type).map(r => r.public_id);
+    for (let i = 0; i < ids.length; i += DELETE_BATCH) {
+      await cloudinary.api.delete_resources(ids.slice(i, i + DELETE_BATCH), { resource_type: 'raw', type });
+    }
+  }
+  return { revisions: dropped.length, images: images.length };
+}
+
+// 存案件：有舊資料的話先留一份歷史版本，再覆蓋 data
+// - action：造成這次覆蓋的動作（create-post / update-post / update-visible…）
+// - actor：誰做的
+// - previous：呼叫端已經讀過舊資料就傳進來（要是還沒被改過的複本）；沒傳就自己讀
+// 歷史版本存不起來就整個失敗，不要在沒有備份的情況下覆蓋掉
+export async function savePost(slug, data, { action, actor, previous } = {}) {
+  const prev = previous !== undefined ? previous : await readPost(slug);
+
+  if (prev) {
+    const now = new Date();
+    const meta = {
+      saved_at: now.toISOString(),
+      action: action || 'unknown',
+      actor: actor || 'unknown',
+    };
+    // 動作跟操作者也寫進 context，列清單時不用逐一抓檔案
+    await writeJSON(revisionPrefix(slug) + revisionId(now), { ...meta, data: prev }, { context: meta });
+  }
+
+  const result = await writePost(slug, data);
+  // 整理舊版本失敗不影響這次存檔，下次存檔會再試
+  if (prev) {
+    try {
+      await pruneRevisions(slug, data);
+    } catch (err) {
+      try { console.error('[revisions] prune failed:', slug, err); } catch {}
+    }
+  }
+  return result;
+}
+
+// 列出某個 slug 的所有歷史版本（新到舊），只有摘要，不含 data
+export async function listRevisions(slug) {
+  const prefix = revisionPrefix(slug);
+  const resources = await revisionResources(slug, { context: true });
+
+  const byId = new Map();
+  for (const r of resources) {
+    const id = String(r.public_id || '').slice(prefix.length).replace(/\.json$/i, '');
+    if (!isValidRevisionId(id)) continue;
+    const ctx = r.context?.custom || {};
+    byId.set(id, {
+      id,
+      saved_at: ctx.saved_at || r.created_at,
+      action: ctx.action || 'unknown',
+      actor: ctx.actor || 'unknown',
+    });
+  }
+
+  return Array.from(byId.values()).sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+// 讀一個歷史版本 { saved_at, action, actor, data }；不存在回 null
+export async function readRevision(slug, id) {
+  if (!isValidRevisionId(id)) return null;
+  return readJSON(revisionPrefix(slug) + id);
+}
+
+// 逐欄位比較兩份 data，回傳有差異的欄位 [{ field, before, after }]
+export function diffData(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const fields = Array.from(new Set([...Object.keys(a), ...Object.keys(b)])).sort();
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+    changes.push({
+      field,
+      before: a[field] === undefined ? null : a[field],
+      after: b[field] === undefined ? null : b[field],
+    });
+  }
+  return changes;
+}
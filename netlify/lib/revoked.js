@@ -0,0 +1,46 @@
+// netlify/lib/revoked.js
+// 作廢的 token（登出、refresh 換新之後的舊 token）：collages/_system/revoked-tokens
+// { tokens: { [jti]: exp（秒） } }，過期的 token 本來就不能用，寫入時順便清掉
+// 每個 function instance 快取一小段時間，不用每個請求都去讀 Cloudinary
+// 讀出來改完再整份寫回，同時兩個請求寫入可能蓋掉對方剛加的 jti；寫完重讀檢查，少了就補寫（最多 WRITE_ATTEMPTS 次）
+import { readJSON, writeJSON, SYSTEM_PREFIX } from './store.js';
+
+const REVOKED_ID = SYSTEM_PREFIX + 'revoked-tokens';
+const CACHE_MS = 15 * 1000;
+const WRITE_ATTEMPTS = 3;
+
+let cache = null; // { at, tokens }
+
+async function loadRevoked({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.at < CACHE_MS) return cache.tokens;
+  const doc = await readJSON(REVOKED_ID);
+  const tokens = doc && doc.tokens && typeof doc.tokens === 'object' ? doc.tokens : {};
+  cache = { at: Date.now(), tokens };
+  return tokens;
+}
+
+export async function isRevoked(jti) {
+  if (!jti) return true;
+  const tokens = await loadRevoked();
+  return Object.hasOwn(tokens, jti);
+}
+
+// 作廢一批 token：[{ jti, exp }]
+// 寫入後被別的請求蓋掉（重讀少了這批 jti）就重做一次；試完還是少就丟錯，不要讓呼叫端以為已經作廢
+export async function revokeTokens(list) {
+  const items = list.filter(t => t && t.jti);
+  if (!items.length) return;
+  for (let attempt = 1; ; attempt++) {
+    const now = Math.floor(Date.now() / 1000);
+    const current = await loadRevoked({ fresh: true });
+    if (attempt > 1 && items.every(t => Object.hasOwn(current, t.jti))) return;
+    if (attempt > WRITE_ATTEMPTS) throw new Error('cannot save revoked tokens (concurrent writes)');
+    const tokens = {};
+    for (const [jti, exp] of Object.entries(current)) {
+      if (exp > now) tokens[jti] = exp;
+    }
+    for (const t of items) tokens[t.jti] = t.exp || now + 24 * 60 * 60;
+    await writeJSON(REVOKED_ID, { updated_at: new Date().toISOString(), tokens });
+    cache = { at: Date.now(), tokens };
+  }
+}
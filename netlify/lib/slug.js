@@ -0,0 +1,59 @@
+// netlify/lib/slug.js
+// slug 正規化與驗證：所有 function 共用，避免 "/"、".." 之類的字元變成奇怪的資料夾路徑
+import { findRaw, postDataId } from './store.js';
+import { getCatalog } from './catalog.js';
+
+const MAX_LEN = 80;
+
+// 讀取用：接受舊資料的大小寫與底線，但不能有 / . 空白，也不能以 _ 開頭（_system 等保留給系統）
+const SLUG_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+// 建立用：轉成小寫英數與 -，跟前端 slugify 同一套規則
+export function normalizeSlug(input) {
+  return String(input || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-+|-+$)/g, '')
+    .slice(0, MAX_LEN)
+    .replace(/-+$/, '');
+}
+
+export function isValidSlug(slug) {
+  return typeof slug === 'string' && SLUG_RE.test(slug);
+}
+
+// 從 query / body 取 slug：trim 後驗證，不合法回 null
+export function parseSlug(input) {
+  const slug = typeof input === 'string' ? input.trim() : '';
+  return isValidSlug(slug) ? slug : null;
+}
+
+// POST body 裡的 slug：回 { slug } 或 { error }（沒給、不是字串、格式不對），呼叫端拿 error 直接回 400
+export function slugFromBody(body) {
+  const raw = body?.slug;
+  if (raw == null || (typeof raw === 'string' && !raw.trim())) return { error: 'slug required' };
+  if (typeof raw !== 'string') return { error: 'slug must be a string' };
+  const slug = parseSlug(raw);
+  return slug ? { slug } : { error: 'invalid slug' };
+}
+
+export async function slugExists(slug) {
+  return !!(await findRaw(postDataId(slug)));
+}
+
+// 找一個還沒被用過的 slug：base-2、base-3…；reserved 裡的也當作已經被用掉（例如同一批匯入還沒寫進去的）
+export async function suggestSlug(base, reserved = new Set()) {
+  let taken = new Set();
+  try {
+    taken = new Set((await getCatalog()).posts.map(p => p.slug));
+  } catch {}
+
+  for (let n = 2; n < 1000; n++) {
+    const suffix = `-${n}`;
+    const candidate = base.slice(0, MAX_LEN - suffix.length).replace(/-+$/, '') + suffix;
+    // 索引可能不是最新的，挑中的再跟 Cloudinary 確認一次
+    if (!taken.has(candidate) && !reserved.has(candidate) && !(await slugExists(candidate))) return candidate;
+  }
+  throw new Error('cannot find a free slug for ' + base);
+}
@@ -0,0 +1,228 @@
+// netlify/lib/store.js
+// Cloudinary 上 raw JSON 的讀寫工具（案件 data.json、系統用的索引檔…）
+import { v2 as cloudinary } from 'cloudinary';
+
+cloudinary.config({
+  cloud_name: process.env.CLD_CLOUD_NAME,
+  api_key: process.env.CLD_API_KEY,
+  api_secret: process.env.CLD_API_SECRET,
+});
+
+export { cloudinary };
+
+// 系統檔（catalog 等）放這裡；slug 不會是 "_system"
+export const SYSTEM_PREFIX = 'collages/_system/';
+
+// collages/ 底下的 raw 檔（案件 data、歷史版本、帳號的密碼雜湊、操作紀錄裡的 IP、作廢的 token…）一律存成 private：
+// upload 類型的 raw 檔誰拿到網址都能下載（隱藏案件的 data 也一樣），private 的只能用簽名過的下載 API 讀
+export function storageType(basePid) {
+  return basePid.startsWith('collages/') ? 'private' : 'upload';
+}
+
+// 案件 data 都帶這個 tag：listPostResources 用 tag 列，不用把歷史版本、操作紀錄也一起列出來
+export const POST_DATA_TAG = 'post-data';
+const POST_DATA_RE = /^collages\/([^/]+)\/data(?:\.json)?$/i;
+
+// 從一堆 raw resources 裡挑出某個 public_id 目前應該用的那一個
+// - 同一份可能有 xxx / xxx.json 兩種 public_id
+// - 偏好沒副檔名的；都一樣就拿 version 最大的
+export function pickLatest(resources, basePid) {
+  let chosen = null;
+  for (const r of resources || []) {
+    const pid = r.public_id || '';
+    if (pid !== basePid && pid !== basePid + '.json') continue;
+
+    if (!chosen) {
+      chosen = { public_id: pid, version: r.version };
+      continue;
+    }
+    const curHasJson = /\.json$/i.test(chosen.public_id);
+    const newHasJson = /\.json$/i.test(pid);
+    if ((curHasJson && !newHasJson) || r.version > chosen.version) {
+      chosen = { public_id: pid, version: r.version };
+    }
+  }
+  return chosen;
+}
+
+// 版本化的 raw URL（v${version}），避開 CDN 舊快取；沒給 version 就是不帶版本的網址
+export function rawUrl({ public_id, version }) {
+  const cloud = process.env.CLD_CLOUD_NAME;
+  const hasExt = /\.json$/i.test(public_id);
+  return `https://res.cloudinary.com/${cloud}/raw/upload/${version ? `v${version}/` : ''}${encodeURIComponent(
+    public_id + (hasExt ? '' : '.json')
+  )}`;
+}
+
+// private 的 raw 檔：走 API 的下載網址，簽名一分鐘內有效
+function privateUrl({ public_id }) {
+  return cloudinary.utils.private_download_url(public_id, '', {
+    resource_type: 'raw',
+    type: 'private',
+    expires_at: Math.floor(Date.now() / 1000) + 60,
+  });
+}
+
+async function findRawOfType(basePid, type) {
+  const res = await cloudinary.api.resources({
+    resource_type: 'raw',
+    type,
+    prefix: basePid,
+    max_results: 10,
+  });
+  const chosen = pickLatest(res.resources, basePid);
+  return chosen && { ...chosen, type };
+}
+
+// 找出某個 public_id 的最新 raw resource（{ public_id, version, type }），沒有就回 null
+// 改成 private 之前存的系統檔還是 upload，搬過去（migratePrivateFiles）之前照樣讀得到
+export async function findRaw(basePid) {
+  const type = storageType(basePid);
+  const chosen = await findRawOfType(basePid, type);
+  if (chosen || type === 'upload') return chosen;
+  return findRawOfType(basePid, 'upload');
+}
+
+// missing: 'throw'（預設）或 'null'：檔案不存在（404）時回 null
+export async function fetchJSON(resource, { missing = 'throw' } = {}) {
+  const resp = await fetch(resource.type === 'private' ? privateUrl(resource) : rawUrl(resource));
+  if (resp.status === 404 && missing === 'null') return null;
+  if (!resp.ok) throw new Error(`cannot fetch ${resource.public_id} (${resp.status})`);
+  const data = await resp.json().catch(() => null);
+  if (!data) throw new Error(`bad JSON in ${resource.public_id}`);
+  return data;
+}
+
+// 讀一份 raw JSON；不存在回 null
+// 不經過 Admin API（有每小時次數限制，訪客每看一頁都查會用光）：
+// - private 的直接用簽名的下載網址讀，永遠是最新的
+// - 還沒搬成 private（migratePrivateFiles）的舊檔退回不帶版本的 CDN 網址；搬之前不會再寫入，不會讀到舊快取
+export async function readJSON(basePid) {
+  const pid = basePid.replace(/\.json$/i, '');
+  if (storageType(pid) === 'private') {
+    const data = await fetchJSON({ public_id: pid, type: 'private' }, { missing: 'null' });
+    if (data) return data;
+  }
+  return fetchJSON({ public_id: pid, type: 'upload' }, { missing: 'null' });
+}
+
+// 覆蓋寫回 raw JSON，public_id 固定不帶 .json；options 會直接傳給 upload（例如 context）
+export async function writeJSON(basePid, data, options = {}) {
+  const jsonBase64 = Buffer.from(JSON.stringify(data)).toString('base64');
+  return cloudinary.uploader.upload(`data:application/json;base64,${jsonBase64}`, {
+    ...options,
+    resource_type: 'raw',
+    type: storageType(basePid),
+    public_id: basePid.replace(/\.json$/i, ''),
+    overwrite: true,
+    format: 'json',
+  });
+}
+
+export function postDataId(slug) {
+  return `collages/${slug}/data`;
+}
+
+// 讀某個 slug 的 data.json；不存在回 null
+export async function readPost(slug) {
+  return readJSON(postDataId(slug));
+}
+
+export async function writePost(slug, data) {
+  return writeJSON(postDataId(slug), data, { tags: [POST_DATA_TAG] });
+}
+
+// 列出某個 prefix 底下的所有 raw 檔（分頁抓完）；context: true 連 context 一起回
+export async function listRaw(prefix, { type = 'upload', context = false } = {}) {
+  const resources = [];
+  let nextCursor;
+
+  do {
+    const res = await cloudinary.api.resources({
+      resource_type: 'raw',
+      type,
+      prefix,
+      ...(context ? { context: true } : {}),
+      max_results: 500,
+      next_cursor: nextCursor,
+    });
+    resources.push(...(res.resources || []));
+    nextCursor = res.next_cursor || undefined;
+  } while (nextCursor);
+
+  return resources;
+}
+
+async function listPrivateByTag(tag) {
+  const resources = [];
+  let nextCursor;
+
+  do {
+    const res = await cloudinary.api.resources_by_tag(tag, {
+      resource_type: 'raw',
+      max_results: 500,
+      next_cursor: nextCursor,
+    });
+    resources.push(...(res.resources || []).filter(r => r.type === 'private'));
+    nextCursor = res.next_cursor || undefined;
+  } while (nextCursor);
+
+  return resources;
+}
+
+// 所有案件的 data 檔，回傳 [{ slug, public_id, version, type }]
+// private 的用 POST_DATA_TAG 列；還沒搬成 private 的舊檔（upload）另外列，同一個 slug 兩種都有時用 private
+export async function listPostResources() {
+  const [tagged, legacy] = await Promise.all([listPrivateByTag(POST_DATA_TAG), listRaw('collages/')]);
+
+  const bySlug = new Map();
+  for (const [type, list] of [['private', tagged], ['upload', legacy]]) {
+    for (const r of list) {
+      const m = POST_DATA_RE.exec(r.public_id || '');
+      if (!m) continue;
+      const slug = m[1];
+      if (!bySlug.has(slug)) bySlug.set(slug, { private: [], upload: [] });
+      bySlug.get(slug)[type].push(r);
+    }
+  }
+
+  const out = [];
+  for (const [slug, lists] of bySlug) {
+    for (const type of ['private', 'upload']) {
+      const chosen = pickLatest(lists[type], postDataId(slug));
+      if (chosen) {
+        out.push({ slug, ...chosen, type });
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+// 把改成 private 之前存的 raw 檔（案件 data、歷史版本、系統檔）搬過去：
+// 已經有 private 新版的刪掉舊的，沒有的改成 private（public_id 去掉 .json，跟 writeJSON 存的一樣），案件 data 補上 POST_DATA_TAG
+// 一次最多處理 limit 個（每個都是一兩次 API 呼叫），回傳 { moved, removed, remaining }
+export async function migratePrivateFiles({ limit = 200 } = {}) {
+  const legacy = (await listRaw('collages/')).filter(r => storageType(r.public_id || '') === 'private');
+  if (!legacy.length) return { moved: 0, removed: 0, remaining: 0 };
+
+  const existing = new Set((await listRaw('collages/', { type: 'private' })).map(r => r.public_id));
+  let moved = 0;
+  let removed = 0;
+  for (const r of legacy.slice(0, limit)) {
+    const options = { resource_type: 'raw', type: 'upload', invalidate: true };
+    const target = r.public_id.replace(/\.json$/i, '');
+    if (existing.has(target)) {
+      await cloudinary.uploader.destroy(r.public_id, options);
+      removed++;
+      continue;
+    }
+    await cloudinary.uploader.rename(r.public_id, target, { ...options, to_type: 'private' });
+    existing.add(target);
+    if (POST_DATA_RE.test(target)) {
+      await cloudinary.uploader.add_tag(POST_DATA_TAG, [target], { resource_type: 'raw', type: 'private' });
+    }
+    moved++;
+  }
+  return { moved, removed, remaining: Math.max(0, legacy.length - limit) };
+}
@@ -0,0 +1,58 @@
+// netlify/lib/tags.js
+// 標籤正規化：不管前端送「冷氣, 住家」、「冷氣，住家」還是陣列，存檔時一律變成同一種陣列
+const MAX_TAGS = 20;
+const MAX_TAG_LEN = 30;
+
+// 分隔符號：半形 / 全形逗號、頓號、空白
+const SEPARATORS = /[,，、\s]+/;
+
+// 單一標籤：全形轉半形、去掉前面的 #、限制長度
+export function normalizeTag(input) {
+  return String(input ?? '')
+    .normalize('NFKC')
+    .trim()
+    .replace(/^#+/, '')
+    .slice(0, MAX_TAG_LEN)
+    .trim();
+}
+
+// 整理成去重後的陣列（大小寫不同視為同一個，保留第一次出現的寫法）
+export function normalizeTags(input) {
+  const raw = Array.isArray(input)
+    ? input.flatMap(t => String(t ?? '').split(SEPARATORS))
+    : typeof input === 'string'
+      ? input.split(SEPARATORS)
+      : [];
+
+  const seen = new Set();
+  const out = [];
+  for (const t of raw) {
+    const tag = normalizeTag(t);
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    out.push(tag);
+    if (out.length >= MAX_TAGS) break;
+  }
+  return out;
+}
+
+export function sameTag(a, b) {
+  return normalizeTag(a).toLowerCase() === normalizeTag(b).toLowerCase();
+}
+
+// 統計每個標籤用了幾次，回傳 [{ tag, count }]（多到少、同數量照字排）
+export function countTags(posts) {
+  const counts = new Map();
+  for (const p of posts) {
+    for (const tag of normalizeTags(p.tags)) {
+      const key = tag.toLowerCase();
+      const cur = counts.get(key);
+      if (cur) cur.count++;
+      else counts.set(key, { tag, count: 1 });
+    }
+  }
+  return Array.from(counts.values()).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
@@ -0,0 +1,92 @@
+// netlify/lib/trash.js
+// 垃圾桶：delete-post 只標記 deleted_at，真正刪除（purge）另外做
+import { cloudinary, readPost } from './store.js';
+import { savePost, revisionPrefix } from './revisions.js';
+import { getCatalog, upsertCatalogEntry, removeCatalogEntry, syncCatalog } from './catalog.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// 垃圾桶保留天數（TRASH_RETENTION_DAYS），超過就會被排程自動永久刪除
+export function retentionDays() {
+  const n = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_RETENTION_DAYS;
+}
+
+export function purgeAfter(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays() * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 標記成已刪除的複本（已經在垃圾桶的保留原本的刪除時間）
+export function markDeleted(data) {
+  return { ...data, deleted_at: data.deleted_at || new Date().toISOString() };
+}
+
+// 移到垃圾桶；回傳更新後的 data，找不到回 null
+export async function moveToTrash(slug, actor) {
+  const previous = await readPost(slug);
+  if (!previous) return null;
+  const data = markDeleted(previous);
+  await savePost(slug, data, { action: 'delete-post', actor, previous });
+  await syncCatalog(() => upsertCatalogEntry(slug, data), 'trash');
+  return data;
+}
+
+export async function restoreFromTrash(slug, actor) {
+  const previous = await readPost(slug);
+  if (!previous) return null;
+  const { deleted_at, ...data } = previous;
+  await savePost(slug, data, { action: 'restore-post', actor, previous });
+  await syncCatalog(() => upsertCatalogEntry(slug, data), 'trash');
+  return data;
+}
+
+// 永久刪除：這個 slug 底下的圖片、raw 檔（data.json、歷史版本）跟資料夾本身
+export async function purgePost(slug) {
+  const folderPrefix = `collages/${slug}/`;
+
+  // delete_resources_by_prefix 會全清該 prefix 底下所有 public_id
+  await cloudinary.api.delete_resources_by_prefix(folderPrefix, {
+    resource_type: 'image',
+    type: 'upload',
+  });
+
+  // data、歷史版本是 private 的 raw 檔；upload 的是還沒搬過去的舊檔
+  for (const type of ['private', 'upload']) {
+    await cloudinary.api.delete_resources_by_prefix(folderPrefix, {
+      resource_type: 'raw',
+      type,
+    });
+  }
+
+  // Cloudinary 的管理 API 支援 delete_folder 來清理空資料夾；有子資料夾刪不掉，先清 revisions/
+  // 資料夾已經不在、或還剩別的檔案都不影響：案件本身已經刪掉了，索引一定要拿掉
+  for (const folder of [revisionPrefix(slug), folderPrefix]) {
+    try {
+      await cloudinary.api.delete_folder(folder);
+    } catch (err) {
+      try { console.warn('[trash] delete_folder failed:', folder, err?.message || err?.error?.message || err); } catch {}
+    }
+  }
+
+  await syncCatalog(() => removeCatalogEntry(slug), 'trash');
+}
+
+// 把垃圾桶裡超過保留天數的案件永久刪除，回傳 { purged, failed }
+export async function purgeExpired(now = Date.now()) {
+  const catalog = await getCatalog();
+  const expired = catalog.posts.filter(
+    p => p.deleted_at && new Date(purgeAfter(p.deleted_at)).getTime() <= now
+  );
+
+  const purged = [];
+  const failed = [];
+  for (const p of expired) {
+    try {
+      await purgePost(p.slug);
+      purged.push(p.slug);
+    } catch (err) {
+      failed.push({ slug: p.slug, error: (err && (err.message || err.error?.message)) || String(err) });
+    }
+  }
+  return { purged, failed };
+}
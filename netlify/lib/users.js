@@ -0,0 +1,77 @@
+// netlify/lib/users.js
+// 管理帳號：collages/_system/users（private，見 store.js storageType）
+// { users: [{ username, name, role, password: 'scrypt$N$r$p$salt$hash', disabled, created_at, updated_at }] }
+// 密碼只存 scrypt 雜湊；回傳給前端一律經過 publicUser() 拿掉 password
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { readJSON, writeJSON, SYSTEM_PREFIX } from './store.js';
+import { ROLES } from './auth.js';
+
+const USERS_ID = SYSTEM_PREFIX + 'users';
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LEN = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+// 還沒建立帳號前用 ADMIN_PASSWORD 登入的 owner 的 sub；那段時間建立的案件 author 就是它，
+// 所以保留起來不能當帳號名稱，不然之後叫 admin 的 editor 就能改那些案件
+export const BOOTSTRAP_SUB = 'admin';
+
+// 帳號：小寫英數、底線、連字號、點，2–32 字
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+export function normalizeUsername(raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  return USERNAME_RE.test(s) ? s : null;
+}
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LEN, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// 帳號不存在時也跑一次 scrypt，回應時間不會透露帳號存不存在
+const DUMMY_HASH = 'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$' + Buffer.alloc(KEY_LEN).toString('base64');
+
+export async function verifyPassword(password, stored) {
+  const parts = String(stored || DUMMY_HASH).split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected) && !!stored;
+}
+
+export async function listUsers() {
+  const doc = await readJSON(USERS_ID);
+  return doc && Array.isArray(doc.users) ? doc.users : [];
+}
+
+export async function saveUsers(users) {
+  await writeJSON(USERS_ID, { updated_at: new Date().toISOString(), users });
+  return users;
+}
+
+export async function findUser(username) {
+  const name = normalizeUsername(username);
+  if (!name) return null;
+  return (await listUsers()).find(u => u.username === name) || null;
+}
+
+export function publicUser(u) {
+  const { password, ...rest } = u;
+  return { ...rest, disabled: !!u.disabled };
+}
+
+// 至少要留一個能登入的 owner，不然就沒人能管帳號了
+export function activeOwners(users) {
+  return users.filter(u => u.role === 'owner' && !u.disabled);
+}
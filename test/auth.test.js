@@ -0,0 +1,36 @@
+// test/auth.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/cloudinary.js';
+import { canEditPost, hasRole } from '../netlify/lib/auth.js';
+
+const owner = { sub: 'admin', role: 'owner' };
+const editor = { sub: 'ed', role: 'editor' };
+const viewer = { sub: 'vi', role: 'viewer' };
+
+test('hasRole：viewer < editor < owner', () => {
+  assert.equal(hasRole(owner, 'editor'), true);
+  assert.equal(hasRole(editor, 'editor'), true);
+  assert.equal(hasRole(editor, 'owner'), false);
+  assert.equal(hasRole(viewer, 'editor'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('canEditPost：owner 什麼都能改，包含沒有 author 的舊案件', () => {
+  assert.equal(canEditPost(owner, { author: 'ed' }), true);
+  assert.equal(canEditPost(owner, {}), true);
+  assert.equal(canEditPost(owner, null), true);
+});
+
+test('canEditPost：editor 只能改自己建立的', () => {
+  assert.equal(canEditPost(editor, { author: 'ed' }), true);
+  assert.equal(canEditPost(editor, { author: 'other' }), false);
+  assert.equal(canEditPost(editor, {}), false);
+  assert.equal(canEditPost(editor, { author: '' }), false);
+  assert.equal(canEditPost(editor, null), false);
+});
+
+test('canEditPost：viewer 就算是 author 也不能改', () => {
+  assert.equal(canEditPost(viewer, { author: 'vi' }), false);
+  assert.equal(canEditPost(null, { author: 'vi' }), false);
+});
@@ -0,0 +1,131 @@
+// test/backup-import.test.js
+// backup-import 的衝突處理：skip / overwrite / rename、conflicts 個別指定、rename 挑 slug 避開這一批跟 reserve
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetCloudinary } from './helpers/cloudinary.js';
+import { readPost, writePost } from '../netlify/lib/store.js';
+import { upsertCatalogEntry } from '../netlify/lib/catalog.js';
+import { issueSession } from '../netlify/lib/auth.js';
+import backupImport from '../netlify/functions/backup-import.js';
+
+const items = [{ url: 'https://res.cloudinary.com/demo/image/upload/v1/collages/x/a.jpg' }];
+const data = { title: '備份', items };
+
+async function addPost(slug, title = '原本的') {
+  const record = { slug, title, items };
+  await writePost(slug, record);
+  await upsertCatalogEntry(slug, record);
+}
+
+async function run(body, role = 'owner') {
+  const { token } = issueSession({ sub: 'admin', role });
+  const response = await backupImport(new Request('https://example.com/.netlify/functions/backup-import', {
+    method: 'POST',
+    headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+// results 整理成 slug → action（或 error），rename 加上 → 新 slug
+function outcome(body) {
+  return Object.fromEntries(body.results.map(r => [r.slug, (r.action || r.error) + (r.to ? ` -> ${r.to}` : '')]));
+}
+
+beforeEach(resetCloudinary);
+
+test('只有 owner 可以匯入', async () => {
+  const { status } = await run({ posts: [{ slug: 'foo', data }] }, 'editor');
+  assert.equal(status, 403);
+});
+
+test('試算：預設 skip，不存在的新建，什麼都不寫入', async () => {
+  await addPost('foo');
+  const { status, body } = await run({ posts: [{ slug: 'foo', data }, { slug: 'bar', data }], dryRun: true });
+  assert.equal(status, 200);
+  assert.equal(body.dryRun, true);
+  assert.deepEqual(outcome(body), { foo: 'skip', bar: 'create' });
+  assert.deepEqual(body.skipped, [{ slug: 'foo', reason: 'exists' }]);
+  assert.equal(await readPost('bar'), null);
+  assert.equal((await readPost('foo')).title, '原本的');
+});
+
+test('conflicts 個別指定會蓋過預設做法', async () => {
+  await addPost('foo');
+  await addPost('bar');
+  const { body } = await run({
+    posts: [{ slug: 'foo', data }, { slug: 'bar', data }],
+    conflict: 'skip',
+    conflicts: { foo: 'overwrite' },
+  });
+  assert.deepEqual(outcome(body), { foo: 'overwrite', bar: 'skip' });
+  assert.equal((await readPost('foo')).title, '備份');
+  assert.equal((await readPost('bar')).title, '原本的');
+});
+
+test('conflicts 只看自己的 key，slug 叫 constructor 也照預設做法', async () => {
+  await addPost('constructor');
+  const { status, body } = await run({ posts: [{ slug: 'constructor', data }], conflicts: {} });
+  assert.equal(status, 200);
+  assert.deepEqual(outcome(body), { constructor: 'skip' });
+});
+
+test('conflicts 的值不合法回 400', async () => {
+  const { status } = await run({ posts: [{ slug: 'foo', data }], conflicts: { foo: 'merge' } });
+  assert.equal(status, 400);
+});
+
+test('rename 避開這一批裡其他案件的 slug', async () => {
+  await addPost('foo');
+  const { body } = await run({ posts: [{ slug: 'foo', data }, { slug: 'foo-2', data }], conflict: 'rename', dryRun: true });
+  assert.deepEqual(outcome(body), { foo: 'rename -> foo-3', 'foo-2': 'create' });
+});
+
+test('rename 避開 reserve（其他批的案件、前幾批試算挑好的）', async () => {
+  await addPost('foo');
+  const { body } = await run({ posts: [{ slug: 'foo', data }], conflict: 'rename', reserve: ['foo-2', 'foo-3'], dryRun: true });
+  assert.deepEqual(outcome(body), { foo: 'rename -> foo-4' });
+});
+
+test('同一批兩筆 rename 不會挑到同一個 slug', async () => {
+  await addPost('foo');
+  await addPost('foo-2');
+  const { body } = await run({ posts: [{ slug: 'foo', data }, { slug: 'foo-2', data }], conflict: 'rename', dryRun: true });
+  assert.deepEqual(outcome(body), { foo: 'rename -> foo-3', 'foo-2': 'rename -> foo-2-2' });
+});
+
+test('實際還原照試算挑好的 to 寫入', async () => {
+  await addPost('foo');
+  const dry = await run({ posts: [{ slug: 'foo', data }], conflict: 'rename', dryRun: true });
+  const to = dry.body.renamed[0].to;
+  const { body } = await run({ posts: [{ slug: 'foo', data, to }], conflict: 'rename' });
+  assert.deepEqual(body.renamed, [{ from: 'foo', to }]);
+  assert.equal((await readPost(to)).title, '備份');
+  assert.equal((await readPost(to)).slug, to);
+  assert.equal((await readPost('foo')).title, '原本的');
+});
+
+test('to 是這一批或 reserve 裡的 slug、或已經被占走，都算失敗', async () => {
+  await addPost('foo');
+  await addPost('foo-9');
+  const { body } = await run({
+    posts: [
+      { slug: 'foo', data, to: 'bar' },
+      { slug: 'bar', data },
+    ],
+    conflict: 'rename',
+  });
+  assert.deepEqual(outcome(body), { foo: 'invalid rename target', bar: 'create' });
+
+  const reserved = await run({ posts: [{ slug: 'foo', data, to: 'foo-5' }], conflict: 'rename', reserve: ['foo-5'] });
+  assert.deepEqual(outcome(reserved.body), { foo: 'invalid rename target' });
+
+  const taken = await run({ posts: [{ slug: 'foo', data, to: 'foo-9' }], conflict: 'rename' });
+  assert.deepEqual(outcome(taken.body), { foo: 'rename target foo-9 already exists' });
+  assert.equal(taken.body.ok, false);
+});
+
+test('reserve 不是陣列回 400', async () => {
+  const { status } = await run({ posts: [{ slug: 'foo', data }], reserve: 'foo-2' });
+  assert.equal(status, 400);
+});
@@ -0,0 +1,111 @@
+// test/helpers/cloudinary.js
+// 測試用：把 lib/store.js 用的 cloudinary SDK 換成記憶體版，raw JSON 依 type（upload / private）分開存
+// 要在 import 任何 function 之前先 import 這個檔（會設好環境變數）
+process.env.ADMIN_PASSWORD = 'secret';
+process.env.ADMIN_JWT_SECRET = 'test-secret';
+process.env.CLD_CLOUD_NAME = 'demo';
+process.env.CLD_API_KEY = 'key';
+process.env.CLD_API_SECRET = 'api-secret';
+
+const { cloudinary } = await import('../../netlify/lib/store.js');
+
+// key：`${type}:${public_id}` → { version, body, context, tags }
+export const files = new Map();
+let version = 1;
+
+const fileKey = (type, publicId) => `${type || 'upload'}:${publicId}`;
+
+export function resetCloudinary() {
+  files.clear();
+}
+
+export function readFile(type, publicId) {
+  const file = files.get(fileKey(type, publicId));
+  return file ? JSON.parse(file.body) : null;
+}
+
+function listing(entries) {
+  return {
+    resources: entries.map(([key, file]) => {
+      const type = key.slice(0, key.indexOf(':'));
+      return {
+        public_id: key.slice(type.length + 1),
+        type,
+        version: file.version,
+        resource_type: 'raw',
+        ...(file.context ? { context: { custom: file.context } } : {}),
+      };
+    }),
+  };
+}
+
+function deleteWhere(test) {
+  for (const key of [...files.keys()]) if (test(key)) files.delete(key);
+}
+
+cloudinary.api.resources = async ({ prefix = '', type = 'upload' } = {}) =>
+  listing([...files].filter(([key]) => key.startsWith(fileKey(type, prefix))));
+
+cloudinary.api.resources_by_tag = async (tag) =>
+  listing([...files].filter(([, file]) => file.tags.includes(tag)));
+
+cloudinary.api.delete_resources = async (ids, options = {}) => {
+  for (const id of ids) files.delete(fileKey(options.type, id));
+  return {};
+};
+
+cloudinary.api.delete_resources_by_prefix = async (prefix, options = {}) => {
+  deleteWhere(key => key.startsWith(fileKey(options.type, prefix)));
+  return {};
+};
+
+cloudinary.api.delete_folder = async () => ({});
+
+cloudinary.uploader.upload = async (dataUrl, options = {}) => {
+  const body = Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64').toString();
+  files.set(fileKey(options.type, options.public_id), {
+    version: ++version,
+    body,
+    context: options.context,
+    tags: options.tags || [],
+  });
+  return { public_id: options.public_id, version };
+};
+
+cloudinary.uploader.add_tag = async (tag, ids, options = {}) => {
+  for (const id of ids) {
+    const file = files.get(fileKey(options.type, id));
+    if (file && !file.tags.includes(tag)) file.tags.push(tag);
+  }
+  return {};
+};
+
+cloudinary.uploader.rename = async (from, to, options = {}) => {
+  const file = files.get(fileKey(options.type, from));
+  files.delete(fileKey(options.type, from));
+  if (file) files.set(fileKey(options.to_type || options.type, to), file);
+  return {};
+};
+
+cloudinary.uploader.destroy = async (publicId, options = {}) => {
+  const existed = files.delete(fileKey(options.type, publicId));
+  return { result: existed ? 'ok' : 'not found' };
+};
+
+// private 檔走 API 下載網址，舊的 upload 檔走 CDN；其他網址（照片）一律當作存在
+globalThis.fetch = async (input) => {
+  const url = new URL(String(input));
+  if (url.hostname === 'api.cloudinary.com') {
+    const file = files.get(fileKey('private', url.searchParams.get('public_id')));
+    return file ? new Response(file.body) : new Response('not found', { status: 404 });
+  }
+  const m = /\/raw\/upload\/(?:v\d+\/)?(.+)$/.exec(url.pathname);
+  if (m) {
+    const publicId = decodeURIComponent(m[1]);
+    const file = files.get(fileKey('upload', publicId)) || files.get(fileKey('upload', publicId.replace(/\.json$/, '')));
+    return file ? new Response(file.body) : new Response('not found', { status: 404 });
+  }
+  return new Response(new Uint8Array([1, 2, 3, 4]));
+};
+
+export { cloudinary };
@@ -0,0 +1,55 @@
+// test/slug.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetCloudinary } from './helpers/cloudinary.js';
+import { writePost } from '../netlify/lib/store.js';
+import { saveCatalog, upsertCatalogEntry } from '../netlify/lib/catalog.js';
+import { normalizeSlug, slugFromBody, suggestSlug } from '../netlify/lib/slug.js';
+
+const post = { title: 'T', items: [{ url: 'https://res.cloudinary.com/demo/image/upload/v1/collages/x/a.jpg' }] };
+
+async function addPost(slug) {
+  await writePost(slug, { ...post, slug });
+  await upsertCatalogEntry(slug, { ...post, slug });
+}
+
+beforeEach(resetCloudinary);
+
+test('normalizeSlug：轉小寫、非英數換成 -、長度上限不留結尾 -', () => {
+  assert.equal(normalizeSlug('  Hello World!! '), 'hello-world');
+  assert.equal(normalizeSlug('Ａｂｃ'), 'abc');
+  assert.equal(normalizeSlug('a'.repeat(79) + '-b'), 'a'.repeat(79));
+});
+
+test('slugFromBody：缺少、型別錯、格式錯各回對應的 error', () => {
+  assert.deepEqual(slugFromBody(null), { error: 'slug required' });
+  assert.deepEqual(slugFromBody({ slug: '  ' }), { error: 'slug required' });
+  assert.deepEqual(slugFromBody({ slug: 12 }), { error: 'slug must be a string' });
+  assert.deepEqual(slugFromBody({ slug: ['a'] }), { error: 'slug must be a string' });
+  assert.deepEqual(slugFromBody({ slug: '../x' }), { error: 'invalid slug' });
+  assert.deepEqual(slugFromBody({ slug: ' ok-1 ' }), { slug: 'ok-1' });
+});
+
+test('suggestSlug：跳過已經存在的 slug', async () => {
+  await addPost('foo');
+  await addPost('foo-2');
+  assert.equal(await suggestSlug('foo'), 'foo-3');
+});
+
+test('suggestSlug：索引沒記到的也會跟 Cloudinary 確認', async () => {
+  await saveCatalog([]);
+  await writePost('foo-2', { ...post, slug: 'foo-2' });
+  assert.equal(await suggestSlug('foo'), 'foo-3');
+});
+
+test('suggestSlug：reserved 裡的 slug 也當作已經被用掉', async () => {
+  await addPost('foo');
+  assert.equal(await suggestSlug('foo', new Set(['foo-2', 'foo-3'])), 'foo-4');
+});
+
+test('suggestSlug：太長的 base 會截短，後綴不超過上限', async () => {
+  const base = 'a'.repeat(78) + '-b';
+  const slug = await suggestSlug(base);
+  assert.equal(slug, 'a'.repeat(78) + '-2');
+  assert.ok(slug.length <= 80);
+});